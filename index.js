@@ -2,4 +2,13 @@
  * Created by GROOT on 3/27 0027.
  */
 
-module.exports = require('./lib/swagger').generateSpecAndMount;
\ No newline at end of file
+const swagger = require('./lib/swagger');
+
+module.exports = swagger.generateSpecAndMount;
+module.exports.generateSpec = swagger.generateSpec;
+module.exports.createRouter = swagger.createRouter;
+module.exports.checkRoutes = swagger.checkRoutes;
+module.exports.createValidator = require('./lib/swagger-validator').createValidator;
+module.exports.DiagnosticError = swagger.DiagnosticError;
+module.exports.SpecValidationError = swagger.SpecValidationError;
+module.exports.watchSpec = require('./lib/swagger-watch').watchSpec;
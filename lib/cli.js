@@ -0,0 +1,287 @@
+/** @module cli */
+'use strict';
+
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const swagger = require('./swagger');
+const swaggerWatch = require('./swagger-watch');
+
+const USAGE = `Usage: sequelize-swagger [options]
+
+Generates swagger.json / swagger.yaml from Sequelize models and JSDoc comments.
+
+Options:
+  -c, --config <file>    Config module exporting the generator options (required)
+  -m, --models <module>  Sequelize instance or models/index.js module, overrides \`models\` in the config
+  -o, --output <file>    File to write, overrides \`output\` in the config (default: swagger.json)
+  -f, --format <format>  json or yaml, defaults to the output file extension
+      --check            Exit with code 1 when the output file differs from the generated spec
+      --watch            Keep running and rewrite the output file when route or model files change
+  -h, --help             Show this help
+`;
+
+/**
+ * Short aliases of the options.
+ * @type {object}
+ */
+const ALIASES = {
+    '-c': 'config',
+    '-m': 'models',
+    '-o': 'output',
+    '-f': 'format',
+    '-h': 'help'
+};
+
+/**
+ * Options taking a value.
+ * @type {string[]}
+ */
+const VALUE_OPTIONS = ['config', 'models', 'output', 'format'];
+
+/**
+ * Options which are on when given.
+ * @type {string[]}
+ */
+const FLAGS = ['check', 'watch', 'help'];
+
+/**
+ * Parses the command line arguments.
+ * @function
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @returns {object} Parsed arguments
+ */
+function parseArgs(argv) {
+    const args = {};
+
+    for (let i = 0; i < argv.length; i = i + 1) {
+        let arg = argv[i];
+        let value;
+        if (arg.indexOf('--') === 0 && arg.indexOf('=') > -1) {
+            value = arg.slice(arg.indexOf('=') + 1);
+            arg = arg.slice(0, arg.indexOf('='));
+        }
+        const name = ALIASES[arg] || (arg.indexOf('--') === 0 ? arg.slice(2) : undefined);
+        if (!name) {
+            throw new Error(arg.charAt(0) === '-' ? `Unknown option '${arg}'.` : `Unexpected argument '${arg}'.`);
+        }
+        if (FLAGS.indexOf(name) > -1) {
+            if (value !== undefined) {
+                throw new Error(`'${arg}' doesn't take a value.`);
+            }
+            args[name] = true;
+            continue;
+        }
+        if (VALUE_OPTIONS.indexOf(name) === -1) {
+            throw new Error(`Unknown option '${arg}'.`);
+        }
+        if (value === undefined) {
+            value = argv[i + 1];
+            i = i + 1;
+        }
+        if (value === undefined) {
+            throw new Error(`Missing value for '${arg}'.`);
+        }
+        args[name] = value;
+    }
+    return args;
+}
+
+/**
+ * Resolves the Sequelize models exported by a module. Accepts a Sequelize
+ * instance, an object holding one as `sequelize` (eg. `models/index.js`)
+ * or an object of models.
+ * @function
+ * @param {object} exported - Module exports
+ * @returns {object} Sequelize models by name
+ */
+function resolveModels(exported) {
+    if (exported && exported.default && !exported.models) {
+        exported = exported.default;
+    }
+    if (!exported || typeof exported !== 'object') {
+        throw new Error('The models module must export a Sequelize instance or an object of models.');
+    }
+    if (exported.models && typeof exported.define === 'function') {
+        return exported.models;
+    }
+    if (exported.sequelize && exported.sequelize.models) {
+        return exported.sequelize.models;
+    }
+    const models = {};
+    Object.keys(exported).forEach((name) => {
+        const value = exported[name];
+        if (value && value.rawAttributes) {
+            models[value.name || name] = value;
+        }
+    });
+    return models;
+}
+
+/**
+ * Serializes the spec in the given format.
+ * @function
+ * @param {object} spec - Swagger spec
+ * @param {string} format - json or yaml
+ * @returns {string} Serialized spec
+ */
+function serialize(spec, format) {
+    if (format === 'yaml') {
+        return yaml.safeDump(spec, {noRefs: true});
+    }
+    return JSON.stringify(spec, null, 2) + '\n';
+}
+
+/**
+ * Loads the models module again, dropping the cached modules of its directory first
+ * so changed model definitions are picked up.
+ * @function
+ * @param {string} modelsPath - Resolved path of the models module
+ * @returns {object} Sequelize models by name
+ */
+function _reloadModels(modelsPath) {
+    const modelsDir = path.dirname(require.resolve(modelsPath)) + path.sep;
+    Object.keys(require.cache).forEach((file) => {
+        if (file.indexOf(modelsDir) === 0 && file.indexOf(`${path.sep}node_modules${path.sep}`) === -1) {
+            delete require.cache[file];
+        }
+    });
+    return resolveModels(require(modelsPath));
+}
+
+/**
+ * Files which trigger reloading the models: the models module and the `models` directory it
+ * is in or next to. Other files go in the `watch` option of the configuration.
+ * @function
+ * @param {string} modelsPath - Resolved path of the models module
+ * @returns {string[]} Paths and globs
+ */
+function _modelGlobs(modelsPath) {
+    const file = require.resolve(modelsPath);
+    const dir = path.dirname(file);
+    const modelsDir = path.basename(dir) === 'models' ? dir : path.join(dir, 'models');
+    return [file, path.join(modelsDir, '**/*.js')];
+}
+
+/**
+ * Rewrites the output file every time the watched route or model files change.
+ * Resolves once the watcher is closed, eg. never for the command line.
+ * @function
+ * @param {string} modelsPath - Resolved path of the models module
+ * @param {object} options - Generator options
+ * @param {string} output - Resolved path of the output file
+ * @param {string} format - json or yaml
+ * @param {object} io - Output streams
+ * @returns {Promise<number>} Exit code
+ */
+function watch(modelsPath, options, output, format, io) {
+    const cwd = process.cwd();
+    options.watch = (options.watch || []).concat(_modelGlobs(modelsPath).map((file) => path.relative(options.basedir, file)));
+
+    const watcher = swaggerWatch.watchSpec(() => _reloadModels(modelsPath), options);
+    watcher.on('update', (spec) => {
+        const content = serialize(spec, format);
+        if (!fs.existsSync(output) || fs.readFileSync(output, 'utf-8') !== content) {
+            fs.writeFileSync(output, content);
+            io.stdout.write(`Wrote ${path.relative(cwd, output)}\n`);
+        }
+    });
+    watcher.on('error', (e) => {
+        io.stderr.write(`${e instanceof Error ? e.message : e}\n`);
+    });
+    io.stdout.write(`Watching for changes...\n`);
+    return new Promise((resolve) => {
+        watcher.on('close', () => resolve(0));
+    });
+}
+
+/**
+ * Runs the command line interface.
+ * @function
+ * @param {string[]} argv - Arguments without the node binary and script path
+ * @param {object} [io] - Output streams, defaults to the process ones
+ * @returns {Promise<number>} Exit code: 0 on success, 1 when `--check` found a difference or
+ *                            the spec is invalid, 2 on usage errors
+ */
+async function run(argv, io) {
+    io = io || {stdout: process.stdout, stderr: process.stderr};
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        io.stderr.write(`${e.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        io.stdout.write(USAGE);
+        return 0;
+    }
+    if (!args.config) {
+        io.stderr.write(`'--config' is required.\n\n${USAGE}`);
+        return 2;
+    }
+
+    const cwd = process.cwd();
+    const configPath = path.resolve(cwd, args.config);
+    const configDir = path.dirname(configPath);
+    const options = Object.assign({}, require(configPath));
+    const modelsPath = args.models ? path.resolve(cwd, args.models) :
+        options.models && path.resolve(configDir, options.models);
+    const output = args.output ? path.resolve(cwd, args.output) :
+        path.resolve(configDir, options.output || 'swagger.json');
+    const format = args.format || options.format || (/\.ya?ml$/i.test(output) ? 'yaml' : 'json');
+
+    if (args.check && args.watch) {
+        io.stderr.write(`'--check' and '--watch' can't be combined.\n\n${USAGE}`);
+        return 2;
+    }
+    if (!modelsPath) {
+        io.stderr.write(`'--models' or \`models\` in the config is required.\n\n${USAGE}`);
+        return 2;
+    }
+    if (format !== 'json' && format !== 'yaml') {
+        io.stderr.write(`Unknown format '${format}', expected json or yaml.\n`);
+        return 2;
+    }
+    delete options.models;
+    delete options.output;
+    delete options.format;
+    options.basedir = options.basedir ? path.resolve(configDir, options.basedir) : configDir;
+
+    if (args.watch) {
+        return watch(modelsPath, options, output, format, io);
+    }
+
+    const models = resolveModels(require(modelsPath));
+    let content;
+    try {
+        content = serialize(await swagger.generateSpec(models, options), format);
+    } catch (e) {
+        if (e instanceof swagger.DiagnosticError || e instanceof swagger.SpecValidationError) {
+            io.stderr.write(`${e.message}\n`);
+            return 1;
+        }
+        throw e;
+    }
+
+    if (args.check) {
+        const current = fs.existsSync(output) ? fs.readFileSync(output, 'utf-8') : undefined;
+        if (current !== content) {
+            io.stderr.write(`${path.relative(cwd, output)} is out of date, run sequelize-swagger without --check to update it.\n`);
+            return 1;
+        }
+        io.stdout.write(`${path.relative(cwd, output)} is up to date.\n`);
+        return 0;
+    }
+
+    fs.writeFileSync(output, content);
+    io.stdout.write(`Wrote ${path.relative(cwd, output)}\n`);
+    return 0;
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    resolveModels
+};
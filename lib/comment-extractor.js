@@ -0,0 +1,391 @@
+/** @module comment-extractor */
+'use strict';
+
+// Dependencies
+const doctrine = require('doctrine');
+
+/**
+ * Options the JSDoc comments are parsed with.
+ * @type {object}
+ */
+const DOCTRINE_OPTIONS = {unwrap: true, sloppy: true, tags: null, recoverable: true, lineNumbers: true};
+
+/**
+ * TypeScript types with a direct JSDoc counterpart.
+ * @type {object}
+ */
+const TS_TYPES = {
+    string: 'string',
+    number: 'number',
+    bigint: 'integer',
+    boolean: 'boolean',
+    object: 'object',
+    any: 'object',
+    unknown: 'object',
+    Date: 'date-time',
+    Object: 'object',
+    Record: 'object',
+    Map: 'object'
+};
+
+/**
+ * Keywords after which a `/` starts a regular expression rather than a division.
+ * @type {string[]}
+ */
+const REGEX_KEYWORDS = ['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw',
+    'case', 'do', 'else', 'yield', 'await'];
+
+/**
+ * Checks whether a `/` starts a regular expression literal, from what precedes it.
+ * @function
+ * @param {string} content - Source code
+ * @param {number} i - Offset of the `/`
+ * @param {string} prev - Last character before it which isn't whitespace or a comment
+ * @returns {boolean} Whether it starts a regular expression
+ */
+function _startsRegex(content, i, prev) {
+    if (!prev) {
+        return true;
+    }
+    if (/[\w$]/.test(prev)) {
+        const word = content.slice(Math.max(0, i - 20), i).match(/([\w$]+)\s*$/);
+        return !!word && REGEX_KEYWORDS.indexOf(word[1]) > -1;
+    }
+    return ')]}\'"`'.indexOf(prev) === -1;
+}
+
+/**
+ * Returns the offset after the regular expression literal starting at `start`, flags included.
+ * Regular expressions can't span lines, an unterminated one ends at the end of its line.
+ * @function
+ * @param {string} content - Source code
+ * @param {number} start - Offset of the opening `/`
+ * @returns {number} Offset after the literal
+ */
+function _skipRegex(content, start) {
+    let i = start + 1;
+    let inClass = false;
+    while (i < content.length && content[i] !== '\n') {
+        const c = content[i];
+        if (c === '\\') {
+            i = i + 2;
+            continue;
+        }
+        if (c === '[') {
+            inClass = true;
+        } else if (c === ']') {
+            inClass = false;
+        } else if (c === '/' && !inClass) {
+            i = i + 1;
+            while (i < content.length && /[a-z]/i.test(content[i])) {
+                i = i + 1;
+            }
+            return i;
+        }
+        i = i + 1;
+    }
+    return i;
+}
+
+/**
+ * Finds the `/** ... *\/` blocks in JavaScript or TypeScript source. The source is only
+ * tokenized as far as strings, template literals, regular expressions and comments go,
+ * so type annotations, decorators, generics or import syntax don't matter.
+ * @function
+ * @param {string} content - Source code
+ * @returns {object[]} Blocks as `{text, line, end}`, `line` being 1-based and `end` the offset after the block
+ */
+function _findBlocks(content) {
+    const blocks = [];
+    let line = 1;
+    let i = 0;
+    let prev = '';
+
+    while (i < content.length) {
+        const c = content[i];
+        const next = content[i + 1];
+        if (c === '\n') {
+            line = line + 1;
+            i = i + 1;
+        } else if (c === '/' && next === '/') {
+            while (i < content.length && content[i] !== '\n') {
+                i = i + 1;
+            }
+        } else if (c === '/' && next === '*') {
+            let end = content.indexOf('*/', i + 2);
+            end = end === -1 ? content.length : end + 2;
+            const text = content.slice(i, end);
+            if (text[2] === '*' && text !== '/**/') {
+                blocks.push({text: text, line: line, end: end});
+            }
+            line = line + text.split('\n').length - 1;
+            i = end;
+        } else if (c === '/' && _startsRegex(content, i, prev)) {
+            i = _skipRegex(content, i);
+            prev = '/';
+        } else if (c === '\'' || c === '"') {
+            // Quotes can't span lines, so an unbalanced one only skips the rest of its line
+            i = i + 1;
+            while (i < content.length && content[i] !== c && content[i] !== '\n') {
+                i = i + (content[i] === '\\' ? 2 : 1);
+            }
+            if (content[i] === c) {
+                i = i + 1;
+            }
+            prev = c;
+        } else if (c === '`') {
+            i = i + 1;
+            while (i < content.length && content[i] !== '`') {
+                if (content[i] === '\n') {
+                    line = line + 1;
+                }
+                i = i + (content[i] === '\\' ? 2 : 1);
+            }
+            i = i + 1;
+            prev = c;
+        } else {
+            if (!/\s/.test(c)) {
+                prev = c;
+            }
+            i = i + 1;
+        }
+    }
+    return blocks;
+}
+
+/**
+ * Returns the text between the `{` at `start` and its matching `}`.
+ * @function
+ * @param {string} content - Source code
+ * @param {number} start - Offset of the opening brace
+ * @returns {string|undefined} Body without the braces
+ */
+function _braceBody(content, start) {
+    let depth = 0;
+    for (let i = start; i < content.length; i = i + 1) {
+        if (content[i] === '{') {
+            depth = depth + 1;
+        } else if (content[i] === '}') {
+            depth = depth - 1;
+            if (depth === 0) {
+                return content.slice(start + 1, i);
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Splits a type or member list on a separator, ignoring separators nested in brackets.
+ * @function
+ * @param {string} str - Source text
+ * @param {RegExp} separator - Single character separator
+ * @returns {string[]} Trimmed, non-empty parts
+ */
+function _splitTopLevel(str, separator) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (let i = 0; i < str.length; i = i + 1) {
+        const c = str[i];
+        if ('{[(<'.indexOf(c) > -1) {
+            depth = depth + 1;
+        } else if ('}])>'.indexOf(c) > -1 && !(c === '>' && str[i - 1] === '=')) {
+            depth = depth - 1;
+        }
+        if (depth === 0 && separator.test(c)) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += c;
+        }
+    }
+    parts.push(current);
+    return parts.map((part) => part.trim()).filter((part) => part);
+}
+
+/**
+ * Converts a TypeScript type to a JSDoc type expression and, for string literal
+ * unions, its enum values. Unions of other types become JSDoc unions.
+ * @function
+ * @param {string} type - TypeScript type
+ * @param {string[]} generics - Type parameters of the declaration, which become objects
+ * @returns {object} `{type, enums}`
+ */
+function _jsdocType(type, generics) {
+    const union = _splitTopLevel(type, /\|/).filter((part) => ['null', 'undefined', 'void'].indexOf(part) === -1);
+    if (union.length > 1) {
+        if (union.every((part) => /^(['"]).*\1$/.test(part))) {
+            return {type: 'enum', enums: union.map((part) => part.slice(1, -1))};
+        }
+        const types = union.map((part) => _jsdocType(part, generics).type);
+        if (types.some((part) => part === 'enum' || part === 'object')) {
+            return {type: 'object'};
+        }
+        return {type: '(' + types.join('|') + ')'};
+    }
+    type = union[0] || 'object';
+
+    let array = type.match(/^(?:readonly\s+)?(.+)\[\]$/) || type.match(/^(?:Readonly)?Array<(.+)>$/);
+    if (array) {
+        const items = _jsdocType(array[1].replace(/^\((.*)\)$/, '$1'), generics);
+        return {type: 'Array.<' + (items.type === 'enum' ? 'string' : items.type) + '>'};
+    }
+    if (/^(['"]).*\1$/.test(type)) {
+        return {type: 'enum', enums: [type.slice(1, -1)]};
+    }
+    const name = type.replace(/<.*$/, '');
+    if (TS_TYPES[name]) {
+        return {type: TS_TYPES[name]};
+    }
+    if (generics.indexOf(name) > -1) {
+        return {type: 'object'};
+    }
+    if (/^[A-Za-z_$][\w$]*$/.test(name)) {
+        return {type: name + '.model'};
+    }
+    return {type: 'object'};
+}
+
+/**
+ * Reads the interface or object type alias declared right after a comment.
+ * @function
+ * @param {string} content - Source code
+ * @param {number} offset - Offset after the comment
+ * @returns {object|undefined} `{name, base, generics, members}` with members as `{name, type, optional, readOnly, description}`
+ */
+function _declarationAt(content, offset) {
+    const rest = content.slice(offset);
+    const match = rest.match(/^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:interface\s+([\w$]+)(?:<([^{]*?)>)?(?:\s+extends\s+([\w$.]+)[^{]*)?|type\s+([\w$]+)(?:<([^=]*?)>)?\s*=\s*(?:([\w$.]+)\s*&\s*)?)\s*\{/);
+    if (!match) {
+        return undefined;
+    }
+    const body = _braceBody(rest, match[0].length - 1);
+    if (body === undefined) {
+        return undefined;
+    }
+
+    const members = [];
+    let description;
+    // Member comments are kept as descriptions, line comments are dropped
+    const stripped = body.replace(/\/\*\*([\s\S]*?)\*\//g, (all, text) => '\u0000' + text.replace(/^\s*\*?\s?/gm, ' ').trim().replace(/[;,\n]/g, ' ') + '\u0001')
+        .replace(/\/\/[^\n]*/g, '');
+    _splitTopLevel(stripped, /[;,\n]/).forEach((part) => {
+        const doc = part.match(/^\u0000([\s\S]*?)\u0001\s*/);
+        if (doc) {
+            description = doc[1];
+            part = part.slice(doc[0].length);
+        }
+        const member = part.match(/^(readonly\s+)?(['"]?)([\w$-]+)\2(\?)?\s*:\s*([\s\S]+)$/);
+        if (member) {
+            members.push({
+                name: member[3],
+                type: member[5].trim(),
+                optional: !!member[4],
+                readOnly: !!member[1],
+                description: description
+            });
+            description = undefined;
+        }
+    });
+    const generics = _splitTopLevel(match[2] || match[5] || '', /,/).map((param) => param.match(/^[\w$]+/)[0]);
+    return {name: match[1] || match[4], base: match[3] || match[6], generics: generics, members: members};
+}
+
+/**
+ * Turns the members of a TypeScript declaration into the `@property` tags of a `@typedef`,
+ * unless the comment lists its properties already.
+ * @function
+ * @param {object} comment - Parsed JSDoc comment starting with a `@typedef` tag
+ * @param {object} declaration - Declaration from `_declarationAt`
+ */
+function _addDeclarationTags(comment, declaration) {
+    const typedef = comment.tags[0];
+    typedef.name = typedef.name || declaration.name;
+    if (declaration.base && !typedef.type) {
+        typedef.type = {type: 'NameExpression', name: declaration.base};
+    }
+    if (comment.tags.some((tag) => tag.title === 'property')) {
+        return;
+    }
+    declaration.members.forEach((member) => {
+        const converted = _jsdocType(member.type, declaration.generics);
+        let description = member.description || '';
+        if (converted.enums) {
+            description += (description ? ' ' : '') + '- eg: ' + converted.enums.join(',');
+        }
+        comment.tags.push({
+            title: 'property',
+            name: member.name + (member.optional ? '' : '.required') + (member.readOnly ? '.readOnly' : ''),
+            description: description,
+            type: doctrine.parseType(converted.type),
+            lineNumber: typedef.lineNumber
+        });
+    });
+}
+
+/**
+ * Tags whose body is kept as written, see `_tagSource`.
+ * @type {string[]}
+ */
+const RAW_TAGS = ['swagger', 'openapi'];
+
+/**
+ * Returns the body of a tag with its indentation, which doctrine drops from the first line.
+ * A body starting on the tag line is kept as is, one starting on the next line is dedented.
+ * @function
+ * @param {string} text - Comment text
+ * @param {object} tag - Parsed tag with `lineNumber`
+ * @param {number} [endLine] - Line of the next tag
+ * @returns {string} Tag body
+ */
+function _tagSource(text, tag, endLine) {
+    const lines = text.split('\n').map((line) => line.replace(/^\s*\/?\*+\/?\s?/, '').replace(/\s*\*\/\s*$/, ''));
+    const first = lines[tag.lineNumber].replace(new RegExp('^.*?@' + tag.title + '\\s*'), '');
+    const rest = lines.slice(tag.lineNumber + 1, endLine === undefined ? lines.length : endLine);
+    if (first.trim()) {
+        return [first].concat(rest).join('\n').trim();
+    }
+    const indent = Math.min.apply(null, rest.filter((line) => line.trim()).map((line) => line.match(/^\s*/)[0].length));
+    return rest.map((line) => line.slice(indent)).join('\n').trim();
+}
+
+/**
+ * Extracts the JSDoc comments of a JavaScript or TypeScript source file. Every comment
+ * gets the `lineNumber` it starts at, and its tags the `lineNumber` relative to the comment.
+ * A `@typedef` comment directly above a TypeScript `interface` or object `type` gets its
+ * name and properties from the declaration when it doesn't list them itself. `@swagger`
+ * and `@openapi` tags get their body with its indentation as `source`, and `@param`
+ * references like `#/parameters/Page` their name as written.
+ * @function
+ * @param {string} content - Source code
+ * @returns {object[]} Parsed JSDoc comments
+ * @requires doctrine
+ */
+function extractComments(content) {
+    return _findBlocks(content).map((block) => {
+        const comment = doctrine.parse(block.text, DOCTRINE_OPTIONS);
+        comment.lineNumber = block.line;
+        comment.tags.forEach((tag, index) => {
+            const next = comment.tags[index + 1];
+            if (RAW_TAGS.indexOf(tag.title) > -1) {
+                tag.source = _tagSource(block.text, tag, next && next.lineNumber);
+            }
+            // doctrine garbles references like `@param #/parameters/Page`
+            if (tag.title === 'param' && tag.name && tag.name.indexOf('#') > -1) {
+                tag.name = _tagSource(block.text, tag, next && next.lineNumber).split(/\s/)[0];
+            }
+        });
+        if (comment.tags.length && comment.tags[0].title === 'typedef') {
+            const declaration = _declarationAt(content, block.end);
+            if (declaration) {
+                _addDeclarationTags(comment, declaration);
+            }
+        }
+        return comment;
+    });
+}
+
+module.exports = {
+    extractComments
+};
@@ -0,0 +1,104 @@
+/** @module diagnostics */
+'use strict';
+
+/**
+ * Error thrown in `strict` mode when the comments or models have errors.
+ * @class
+ * @param {object[]} diagnostics - The collected error diagnostics
+ */
+class DiagnosticError extends Error {
+    constructor(diagnostics) {
+        super('Swagger generation failed:\n' + diagnostics.map(formatDiagnostic).join('\n'));
+        this.name = 'DiagnosticError';
+        this.diagnostics = diagnostics;
+    }
+}
+
+/**
+ * Error thrown when swagger-parser finds the generated spec invalid.
+ * @class
+ * @param {Error} error - The swagger-parser error
+ */
+class SpecValidationError extends Error {
+    constructor(error) {
+        super(error.message);
+        this.name = 'SpecValidationError';
+        this.details = error.details || [];
+        this.cause = error;
+    }
+}
+
+/**
+ * Formats a diagnostic as `file:line [@tag] message`.
+ * @function
+ * @param {object} diagnostic - Diagnostic
+ * @returns {string} Formatted diagnostic
+ */
+function formatDiagnostic(diagnostic) {
+    let location = diagnostic.file || '';
+    if (location && diagnostic.line) {
+        location += ':' + diagnostic.line;
+    }
+    const parts = [];
+    if (location) {
+        parts.push(location);
+    }
+    if (diagnostic.tag) {
+        parts.push('@' + diagnostic.tag);
+    }
+    parts.push(diagnostic.message);
+    return `${diagnostic.severity}: ${parts.join(' ')}`;
+}
+
+/**
+ * Creates a collector for the problems found while generating the spec.
+ * Every diagnostic is `{severity, message, file, line, tag}` and is passed to
+ * `options.onDiagnostic` when given. Otherwise errors are logged, and warnings
+ * too when `options.warnings` is set.
+ * @function
+ * @param {object} [options] - Configuration options
+ * @param {function} [options.onDiagnostic] - Called with every diagnostic
+ * @param {boolean} [options.warnings=false] - Log warnings when there is no `onDiagnostic`
+ * @param {boolean} [options.strict=false] - Make `assert` throw when there are errors
+ * @returns {object} Diagnostics collector
+ */
+function createDiagnostics(options) {
+    options = options || {};
+    const list = [];
+
+    function report(severity, diagnostic) {
+        const item = Object.assign({severity: severity}, diagnostic);
+        list.push(item);
+        if (typeof options.onDiagnostic === 'function') {
+            options.onDiagnostic(item);
+        } else if (severity === 'error') {
+            console.error('\x1b[31m%s\x1b[0m', formatDiagnostic(item));
+        } else if (options.warnings) {
+            console.warn('\x1b[33m%s\x1b[0m', formatDiagnostic(item));
+        }
+        return item;
+    }
+
+    return {
+        list: list,
+        error: (diagnostic) => report('error', diagnostic),
+        warning: (diagnostic) => report('warning', diagnostic),
+        errors: () => list.filter((item) => item.severity === 'error'),
+        /**
+         * Throws a DiagnosticError in strict mode when errors were reported.
+         */
+        assert: function () {
+            const errors = this.errors();
+            if (options.strict && errors.length) {
+                throw new DiagnosticError(errors);
+            }
+        }
+    };
+}
+
+module.exports = {
+    DiagnosticError,
+    SpecValidationError,
+    createDiagnostics,
+    formatDiagnostic
+};
@@ -0,0 +1,533 @@
+/** @module openapi-converter */
+'use strict';
+
+/**
+ * OpenAPI versions which can be requested through `options.openapi`.
+ * @type {object}
+ */
+const VERSIONS = {
+    '3.0': '3.0.0',
+    '3.1': '3.1.0'
+};
+
+/**
+ * Swagger 2.0 parameter and header keys which are moved into a `schema` in OpenAPI 3.
+ * @type {string[]}
+ */
+const SCHEMA_KEYS = [
+    'type',
+    'format',
+    'items',
+    'default',
+    'maximum',
+    'exclusiveMaximum',
+    'minimum',
+    'exclusiveMinimum',
+    'maxLength',
+    'minLength',
+    'pattern',
+    'maxItems',
+    'minItems',
+    'uniqueItems',
+    'enum',
+    'multipleOf'
+];
+
+/**
+ * Swagger 2.0 `collectionFormat` expressed as OpenAPI 3 `style` and `explode`.
+ * @type {object}
+ */
+const COLLECTION_FORMATS = {
+    csv: {style: 'form', explode: false},
+    ssv: {style: 'spaceDelimited', explode: false},
+    pipes: {style: 'pipeDelimited', explode: false},
+    multi: {style: 'form', explode: true}
+};
+
+/**
+ * Resolves the full OpenAPI version string.
+ * @function
+ * @param {string} version - Requested version, eg. `3.0` or `3.1`
+ * @returns {string} Full version, eg. `3.0.0`
+ */
+function resolveVersion(version) {
+    const key = String(version).split('.').slice(0, 2).join('.');
+    if (!VERSIONS[key]) {
+        throw new Error(`Unsupported OpenAPI version '${version}'. Expected one of: ${Object.keys(VERSIONS).join(', ')}.`);
+    }
+    return VERSIONS[key];
+}
+
+/**
+ * Rewrites Swagger 2.0 local references to their OpenAPI 3 components location.
+ * @function
+ * @param {string} ref - Swagger 2.0 reference
+ * @param {object} [bodyParameters] - Names of global parameters moved to `components/requestBodies`
+ * @returns {string} OpenAPI 3 reference
+ */
+function _convertRef(ref, bodyParameters) {
+    const match = /^#\/(definitions|parameters|responses)\/(.+)$/.exec(ref);
+    if (!match) {
+        return ref;
+    }
+    if (match[1] === 'definitions') {
+        return '#/components/schemas/' + match[2];
+    }
+    if (match[1] === 'parameters' && bodyParameters && bodyParameters[match[2]]) {
+        return '#/components/requestBodies/' + match[2];
+    }
+    return '#/components/' + match[1] + '/' + match[2];
+}
+
+/**
+ * Converts a Swagger 2.0 schema object to an OpenAPI 3 one.
+ * @function
+ * @param {object} schema - Swagger 2.0 schema
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 schema
+ */
+function convertSchema(schema, version) {
+    if (Array.isArray(schema)) {
+        return schema.map((item) => convertSchema(item, version));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const converted = {};
+    for (let key in schema) {
+        if (!schema.hasOwnProperty(key) || schema[key] === undefined) {
+            continue;
+        }
+        if (key === '$ref' && typeof schema[key] === 'string') {
+            converted[key] = _convertRef(schema[key]);
+        } else if (key === 'x-nullable') {
+            converted.nullable = schema[key];
+        } else if (key === 'discriminator' && typeof schema[key] === 'string') {
+            converted[key] = {propertyName: schema[key]};
+        } else if (key === 'properties' || key === 'definitions') {
+            converted[key] = {};
+            for (let name in schema[key]) {
+                if (schema[key].hasOwnProperty(name)) {
+                    converted[key][name] = convertSchema(schema[key][name], version);
+                }
+            }
+        } else {
+            converted[key] = convertSchema(schema[key], version);
+        }
+    }
+    if (converted.type === 'file') {
+        converted.type = 'string';
+        converted.format = 'binary';
+    }
+    if (version.indexOf('3.1') === 0) {
+        // JSON Schema 2020-12 dialect
+        if (converted.nullable === true && converted.type) {
+            converted.type = [].concat(converted.type, 'null');
+        }
+        delete converted.nullable;
+        if (converted.exclusiveMinimum === true) {
+            converted.exclusiveMinimum = converted.minimum;
+            delete converted.minimum;
+        }
+        if (converted.exclusiveMaximum === true) {
+            converted.exclusiveMaximum = converted.maximum;
+            delete converted.maximum;
+        }
+    }
+    return converted;
+}
+
+/**
+ * Moves the Swagger 2.0 type keys of a parameter or header into a `schema`.
+ * @function
+ * @param {object} obj - Swagger 2.0 parameter or header
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 parameter or header
+ */
+function _withSchema(obj, version) {
+    const converted = {};
+    const schema = {};
+    for (let key in obj) {
+        if (!obj.hasOwnProperty(key) || obj[key] === undefined) {
+            continue;
+        }
+        if (SCHEMA_KEYS.indexOf(key) > -1) {
+            schema[key] = obj[key];
+        } else if (key === 'x-example') {
+            converted.example = obj[key];
+        } else if (key !== 'collectionFormat' && key !== 'allowEmptyValue') {
+            converted[key] = obj[key];
+        }
+    }
+    if (obj.allowEmptyValue && obj.in === 'query') {
+        converted.allowEmptyValue = true;
+    }
+    if (obj.collectionFormat && COLLECTION_FORMATS[obj.collectionFormat]) {
+        if (obj.in === 'path' || obj.in === 'header') {
+            converted.style = 'simple';
+        } else {
+            Object.assign(converted, COLLECTION_FORMATS[obj.collectionFormat]);
+        }
+    }
+    converted.schema = convertSchema(obj.schema || schema, version);
+    return converted;
+}
+
+/**
+ * Builds a `content` map holding the same schema for every media type.
+ * @function
+ * @param {string[]} mediaTypes - Media types
+ * @param {object} schema - OpenAPI 3 schema
+ * @param {object} [examples] - Swagger 2.0 examples keyed by media type
+ * @returns {object} OpenAPI 3 content map
+ */
+function _content(mediaTypes, schema, examples) {
+    const content = {};
+    for (let i = 0; i < mediaTypes.length; i = i + 1) {
+        content[mediaTypes[i]] = schema ? {schema: schema} : {};
+        if (examples && examples[mediaTypes[i]] !== undefined) {
+            content[mediaTypes[i]].example = examples[mediaTypes[i]];
+        }
+    }
+    return content;
+}
+
+/**
+ * Converts a Swagger 2.0 body parameter to an OpenAPI 3 request body.
+ * @function
+ * @param {object} param - Swagger 2.0 body parameter
+ * @param {string[]} consumes - Media types the operation consumes
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 request body
+ */
+function _bodyToRequestBody(param, consumes, version) {
+    const requestBody = {
+        content: _content(consumes, convertSchema(param.schema, version))
+    };
+    if (param.description) {
+        requestBody.description = param.description;
+    }
+    if (param.required) {
+        requestBody.required = true;
+    }
+    if (param.name) {
+        requestBody['x-name'] = param.name;
+    }
+    return requestBody;
+}
+
+/**
+ * Converts Swagger 2.0 formData parameters to an OpenAPI 3 request body.
+ * @function
+ * @param {object[]} params - Swagger 2.0 formData parameters
+ * @param {string[]} consumes - Media types the operation consumes
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 request body
+ */
+function _formDataToRequestBody(params, consumes, version) {
+    const schema = {
+        type: 'object',
+        properties: {}
+    };
+    const required = [];
+    let hasFile = false;
+    for (let i = 0; i < params.length; i = i + 1) {
+        const property = _withSchema(params[i], version).schema;
+        if (params[i].description) {
+            property.description = params[i].description;
+        }
+        if (params[i]['x-example'] !== undefined) {
+            property.example = params[i]['x-example'];
+        }
+        schema.properties[params[i].name] = property;
+        if (params[i].required) {
+            required.push(params[i].name);
+        }
+        if (params[i].type === 'file') {
+            hasFile = true;
+        }
+    }
+    if (required.length) {
+        schema.required = required;
+    }
+    let mediaTypes = consumes.filter((type) => {
+        return type === 'multipart/form-data' || type === 'application/x-www-form-urlencoded';
+    });
+    if (!mediaTypes.length) {
+        mediaTypes = [hasFile ? 'multipart/form-data' : 'application/x-www-form-urlencoded'];
+    }
+    const requestBody = {
+        content: _content(mediaTypes, schema)
+    };
+    if (required.length) {
+        requestBody.required = true;
+    }
+    return requestBody;
+}
+
+/**
+ * Converts a Swagger 2.0 response object to an OpenAPI 3 one.
+ * @function
+ * @param {object} response - Swagger 2.0 response
+ * @param {string[]} produces - Media types the operation produces
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 response
+ */
+function convertResponse(response, produces, version) {
+    if (response.$ref) {
+        return {$ref: _convertRef(response.$ref)};
+    }
+    const converted = {
+        description: response.description || ''
+    };
+    if (response.headers) {
+        converted.headers = {};
+        for (let name in response.headers) {
+            if (response.headers.hasOwnProperty(name)) {
+                converted.headers[name] = _withSchema(response.headers[name], version);
+            }
+        }
+    }
+    if (response.schema) {
+        converted.content = _content(produces, convertSchema(response.schema, version), response.examples);
+    }
+    for (let key in response) {
+        if (response.hasOwnProperty(key) && key.indexOf('x-') === 0) {
+            converted[key] = response[key];
+        }
+    }
+    return converted;
+}
+
+/**
+ * Converts a Swagger 2.0 operation object to an OpenAPI 3 one.
+ * @function
+ * @param {object} operation - Swagger 2.0 operation
+ * @param {object} swaggerObject - Swagger 2.0 object the operation belongs to
+ * @param {object} bodyParameters - Names of global parameters moved to `components/requestBodies`
+ * @param {string} version - Full OpenAPI version
+ * @returns {object} OpenAPI 3 operation
+ */
+function convertOperation(operation, swaggerObject, bodyParameters, version) {
+    const consumes = operation.consumes || swaggerObject.consumes || ['application/json'];
+    const produces = operation.produces || swaggerObject.produces || ['application/json'];
+    const converted = {};
+    for (let key in operation) {
+        if (!operation.hasOwnProperty(key) || operation[key] === undefined) {
+            continue;
+        }
+        if (['consumes', 'produces', 'parameters', 'responses', 'schemes'].indexOf(key) === -1) {
+            converted[key] = operation[key];
+        }
+    }
+
+    let parameters = [];
+    let formData = [];
+    const params = operation.parameters || [];
+    for (let i = 0; i < params.length; i = i + 1) {
+        const param = params[i];
+        if (param.$ref) {
+            const ref = _convertRef(param.$ref, bodyParameters);
+            if (ref.indexOf('#/components/requestBodies/') === 0) {
+                converted.requestBody = {$ref: ref};
+            } else {
+                parameters.push({$ref: ref});
+            }
+        } else if (param.in === 'body') {
+            converted.requestBody = _bodyToRequestBody(param, consumes, version);
+        } else if (param.in === 'formData') {
+            formData.push(param);
+        } else {
+            parameters.push(_withSchema(param, version));
+        }
+    }
+    if (formData.length) {
+        converted.requestBody = _formDataToRequestBody(formData, consumes, version);
+    }
+    if (parameters.length || operation.parameters) {
+        converted.parameters = parameters;
+    }
+
+    converted.responses = {};
+    for (let code in operation.responses) {
+        if (operation.responses.hasOwnProperty(code)) {
+            converted.responses[code] = convertResponse(operation.responses[code], produces, version);
+        }
+    }
+    return converted;
+}
+
+/**
+ * Converts Swagger 2.0 security definitions to OpenAPI 3 security schemes.
+ * @function
+ * @param {object} securityDefinitions - Swagger 2.0 security definitions
+ * @returns {object} OpenAPI 3 security schemes
+ */
+function convertSecurityDefinitions(securityDefinitions) {
+    const flows = {
+        implicit: 'implicit',
+        password: 'password',
+        application: 'clientCredentials',
+        accessCode: 'authorizationCode'
+    };
+    const schemes = {};
+    for (let name in securityDefinitions) {
+        if (!securityDefinitions.hasOwnProperty(name)) {
+            continue;
+        }
+        const definition = securityDefinitions[name];
+        let scheme;
+        if (definition.type === 'basic') {
+            scheme = {type: 'http', scheme: 'basic'};
+        } else if (definition.type === 'oauth2') {
+            const flow = {scopes: definition.scopes || {}};
+            if (definition.authorizationUrl) {
+                flow.authorizationUrl = definition.authorizationUrl;
+            }
+            if (definition.tokenUrl) {
+                flow.tokenUrl = definition.tokenUrl;
+            }
+            scheme = {
+                type: 'oauth2',
+                flows: {[flows[definition.flow] || definition.flow]: flow}
+            };
+        } else {
+            scheme = {type: definition.type, name: definition.name, in: definition.in};
+        }
+        if (definition.description) {
+            scheme.description = definition.description;
+        }
+        schemes[name] = scheme;
+    }
+    return schemes;
+}
+
+/**
+ * Builds OpenAPI 3 servers from Swagger 2.0 host, basePath and schemes.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object
+ * @returns {object[]} OpenAPI 3 servers
+ */
+function convertServers(swaggerObject) {
+    const basePath = swaggerObject.basePath || '';
+    if (!swaggerObject.host) {
+        return [{url: basePath || '/'}];
+    }
+    const schemes = swaggerObject.schemes && swaggerObject.schemes.length ? swaggerObject.schemes : ['http'];
+    return schemes.map((scheme) => {
+        return {url: `${scheme}://${swaggerObject.host}${basePath}`};
+    });
+}
+
+/**
+ * Converts a Swagger 2.0 object, as built by the generator, to an OpenAPI 3 object.
+ * `servers` and `components` already present in the swagger definition are kept.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object
+ * @param {string} version - Requested OpenAPI version, `3.0` or `3.1`
+ * @returns {object} OpenAPI 3 object
+ */
+function convert(swaggerObject, version) {
+    version = resolveVersion(version);
+    const components = Object.assign({}, swaggerObject.components);
+    const bodyParameters = {};
+
+    const schemas = Object.assign({}, components.schemas);
+    for (let name in swaggerObject.definitions) {
+        if (swaggerObject.definitions.hasOwnProperty(name)) {
+            schemas[name] = convertSchema(swaggerObject.definitions[name], version);
+        }
+    }
+
+    const parameters = Object.assign({}, components.parameters);
+    const requestBodies = Object.assign({}, components.requestBodies);
+    const consumes = swaggerObject.consumes || ['application/json'];
+    const produces = swaggerObject.produces || ['application/json'];
+    for (let name in swaggerObject.parameters) {
+        if (!swaggerObject.parameters.hasOwnProperty(name)) {
+            continue;
+        }
+        const param = swaggerObject.parameters[name];
+        if (param.in === 'body') {
+            bodyParameters[name] = true;
+            requestBodies[name] = _bodyToRequestBody(param, consumes, version);
+        } else if (param.in === 'formData') {
+            bodyParameters[name] = true;
+            requestBodies[name] = _formDataToRequestBody([param], consumes, version);
+        } else {
+            parameters[name] = _withSchema(param, version);
+        }
+    }
+
+    const responses = Object.assign({}, components.responses);
+    for (let name in swaggerObject.responses) {
+        if (swaggerObject.responses.hasOwnProperty(name)) {
+            responses[name] = convertResponse(swaggerObject.responses[name], produces, version);
+        }
+    }
+
+    const securitySchemes = Object.assign(
+        {}, components.securitySchemes, convertSecurityDefinitions(swaggerObject.securityDefinitions)
+    );
+
+    Object.assign(components, {
+        schemas: schemas,
+        responses: responses,
+        parameters: parameters,
+        requestBodies: requestBodies,
+        securitySchemes: securitySchemes
+    });
+    for (let key in components) {
+        if (components.hasOwnProperty(key) && !Object.keys(components[key]).length) {
+            delete components[key];
+        }
+    }
+
+    const paths = {};
+    for (let uri in swaggerObject.paths) {
+        if (!swaggerObject.paths.hasOwnProperty(uri)) {
+            continue;
+        }
+        paths[uri] = {};
+        for (let method in swaggerObject.paths[uri]) {
+            if (!swaggerObject.paths[uri].hasOwnProperty(method)) {
+                continue;
+            }
+            const item = swaggerObject.paths[uri][method];
+            if (method === 'parameters') {
+                paths[uri][method] = item.map((param) => {
+                    return param.$ref ? {$ref: _convertRef(param.$ref)} : _withSchema(param, version);
+                });
+            } else if (method.indexOf('x-') === 0) {
+                paths[uri][method] = item;
+            } else {
+                paths[uri][method] = convertOperation(item, swaggerObject, bodyParameters, version);
+            }
+        }
+    }
+
+    const openapiObject = {
+        openapi: version,
+        info: swaggerObject.info,
+        servers: swaggerObject.servers || convertServers(swaggerObject),
+        paths: paths,
+        components: components
+    };
+    ['security', 'tags', 'externalDocs'].forEach((key) => {
+        if (swaggerObject[key] !== undefined) {
+            openapiObject[key] = swaggerObject[key];
+        }
+    });
+    for (let key in swaggerObject) {
+        if (swaggerObject.hasOwnProperty(key) && key.indexOf('x-') === 0) {
+            openapiObject[key] = swaggerObject[key];
+        }
+    }
+    return openapiObject;
+}
+
+module.exports = {
+    convert,
+    convertSchema,
+    resolveVersion
+};
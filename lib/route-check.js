@@ -0,0 +1,221 @@
+/** @module route-check */
+'use strict';
+
+// Dependencies
+const diagnosticsFactory = require('./diagnostics');
+const swaggerHelpers = require('./swagger-helpers');
+const swaggerMount = require('./swagger-mount');
+
+/**
+ * Converts Express path parameters to Swagger ones, eg. `/users/:id(\d+)` to `/users/{id}`.
+ * `@route` paths and the mounted routes go through it alike.
+ * @function
+ * @param {string} uri - Express or Swagger path
+ * @returns {string} Swagger path
+ */
+function convertExpressPath(uri) {
+    return uri.replace(/:([A-Za-z0-9_]+)(\([^)]*\))?[?*+]?/g, '{$1}');
+}
+
+/**
+ * Normalizes a path for comparison: Express `:param` becomes `{param}`, duplicate
+ * and trailing slashes are dropped.
+ * @function
+ * @param {string} uri - Express or Swagger path
+ * @returns {string} Normalized path
+ */
+function normalizePath(uri) {
+    const normalized = convertExpressPath(uri)
+        .replace(/\/{2,}/g, '/')
+        .replace(/\/$/, '');
+    return normalized.charAt(0) === '/' ? normalized : '/' + normalized;
+}
+
+/**
+ * Path with anonymous parameters and no case, to pair up near misses.
+ * @function
+ * @param {string} uri - Normalized path
+ * @returns {string} Path shape
+ */
+function _shape(uri) {
+    return uri.replace(/\{[^}]+\}/g, '{}').toLowerCase();
+}
+
+/**
+ * Checks whether a path could be the mount prefix of a router, ie. a single static segment.
+ * @function
+ * @param {string} uri - Normalized path
+ * @returns {boolean} Whether it's a single static segment
+ */
+function _isPrefix(uri) {
+    return /^\/[^/{}]+$/.test(uri);
+}
+
+/**
+ * Recovers the path a router was mounted at from its Express 4 layer regexp.
+ * @function
+ * @param {object} layer - Router stack layer
+ * @returns {string|undefined} Mount path, undefined when it isn't a plain path
+ */
+function _mountPath(layer) {
+    if (!layer.regexp || layer.regexp.fast_slash) {
+        return '';
+    }
+    let key = 0;
+    const source = layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\(\?:\\\/\(\[\^\\?\/\]\+\?\)\)\??/g, () => '/:' + (layer.keys[key++] || {name: key}).name)
+        .replace(/\\(.)/g, '$1');
+    return /[\^$()[\]|?*+]/.test(source) ? undefined : source;
+}
+
+/**
+ * Methods handled by an Express route. `route.all()` sets `_all`, while `app.all` registers
+ * every method Node knows of one by one, so a route handling all Swagger methods counts as `all`.
+ * @function
+ * @param {object} route - Express route
+ * @returns {string[]} Lower case methods
+ */
+function _routeMethods(route) {
+    const methods = Object.keys(route.methods).filter((method) => route.methods[method]);
+    if (methods.indexOf('_all') > -1 || swaggerHelpers.HTTP_METHODS.every((method) => methods.indexOf(method) > -1)) {
+        return ['all'];
+    }
+    return methods;
+}
+
+/**
+ * Lists the endpoints mounted on an Express app or router, following nested routers.
+ * Routes with a RegExp path are skipped.
+ * @function
+ * @param {object} app - Express application or router
+ * @returns {object[]} Endpoints as `{method, path}`, `method` being `all` for `app.all`
+ */
+function listRoutes(app) {
+    const routes = [];
+
+    function walk(stack, prefix) {
+        stack.forEach((layer) => {
+            if (layer.route) {
+                const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+                const methods = _routeMethods(layer.route);
+                paths.filter((uri) => typeof uri === 'string').forEach((uri) => {
+                    methods.forEach((method) => {
+                        routes.push({method: method, path: normalizePath(prefix + uri)});
+                    });
+                });
+            } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+                const mount = _mountPath(layer);
+                if (mount !== undefined) {
+                    walk(layer.handle.stack, prefix + mount);
+                }
+            }
+        });
+    }
+
+    const router = app._router || app.router || app;
+    walk(router.stack || [], '');
+    return routes;
+}
+
+/**
+ * Compares the operations documented in the spec with the endpoints mounted on an
+ * Express app. Paths are compared after normalizing, so `/users/:id/` matches
+ * `/users/{id}`. Leftovers which look alike, ie. the same path with another method,
+ * or the same method with a path differing in parameter names, case or mount prefix,
+ * or with the root path on one side and a single static segment, the mount prefix, on
+ * the other, are reported as mismatches.
+ * @function
+ * @param {object} spec - Swagger spec
+ * @param {object} app - Express application or router
+ * @param {string[]} [ignore] - Paths whose endpoints, including the ones below them, aren't compared
+ * @returns {object} `{undocumented, missing, mismatches}`, endpoints as `{method, path}`
+ *                   and mismatches as `{documented, mounted}`
+ */
+function compareRoutes(spec, app, ignore) {
+    const base = swaggerHelpers.basePath(spec);
+    const documented = [];
+    Object.keys(spec.paths || {}).forEach((uri) => {
+        Object.keys(spec.paths[uri]).filter((method) => swaggerHelpers.HTTP_METHODS.indexOf(method) > -1).forEach((method) => {
+            documented.push({method: method, path: normalizePath(base + uri)});
+        });
+    });
+    const ignored = (ignore || []).map(normalizePath);
+    const mounted = listRoutes(app).filter((route) => !ignored.some((uri) => {
+        return route.path === uri || route.path.indexOf(uri + '/') === 0;
+    }));
+
+    // `app.all` routes satisfy every documented method on their path
+    const same = (doc, route) => doc.path === route.path && (doc.method === route.method || route.method === 'all');
+    let missing = documented.filter((doc) => !mounted.some((route) => same(doc, route)));
+    let undocumented = mounted.filter((route) => route.method !== 'all' && !documented.some((doc) => same(doc, route)));
+
+    const mismatches = [];
+    const endsWith = (long, short) => short !== '/' && long.length > short.length && long.slice(-short.length) === short;
+    const alike = [
+        (doc, route) => doc.method === route.method && _shape(doc.path) === _shape(route.path),
+        (doc, route) => doc.path === route.path,
+        (doc, route) => doc.method === route.method &&
+            (endsWith(_shape(doc.path), _shape(route.path)) || endsWith(_shape(route.path), _shape(doc.path))),
+        // A route documented without its mount prefix, or mounted at the root of its router
+        (doc, route) => doc.method === route.method &&
+            ((doc.path === '/' && _isPrefix(route.path)) || (route.path === '/' && _isPrefix(doc.path)))
+    ];
+    alike.forEach((match) => {
+        missing = missing.filter((doc) => {
+            const index = undocumented.findIndex((route) => match(doc, route));
+            if (index === -1) {
+                return true;
+            }
+            mismatches.push({documented: doc, mounted: undocumented[index]});
+            undocumented.splice(index, 1);
+            return false;
+        });
+    });
+
+    return {undocumented: undocumented, missing: missing, mismatches: mismatches};
+}
+
+/**
+ * Reports the differences found by `compareRoutes` as error diagnostics.
+ * @function
+ * @param {object} spec - Swagger spec
+ * @param {object} app - Express application or router
+ * @param {object} [options] - Configuration options
+ * @param {function} [options.onDiagnostic] - Called with every difference
+ * @param {boolean} [options.strict=false] - Throw a `DiagnosticError` when there are differences
+ * @param {object} [options.route] - Paths the spec and UI are served from, which aren't compared
+ * @param {string[]} [options.ignoreRoutes] - Further paths which aren't compared, eg. health checks
+ * @returns {object} The `compareRoutes` result
+ */
+function checkRoutes(spec, app, options) {
+    options = options || {};
+    const diagnostics = diagnosticsFactory.createDiagnostics(options);
+    const route = Object.assign({}, swaggerMount.DEFAULT_ROUTE, options.route);
+    const result = compareRoutes(spec, app, [route.url, route.docs].concat(options.ignoreRoutes || []));
+    const describe = (endpoint) => `${endpoint.method.toUpperCase()} ${endpoint.path}`;
+
+    result.undocumented.forEach((route) => {
+        diagnostics.error({message: `Endpoint ${describe(route)} is not documented.`, tag: 'route'});
+    });
+    result.missing.forEach((doc) => {
+        diagnostics.error({message: `Documented endpoint ${describe(doc)} is not mounted.`, tag: 'route'});
+    });
+    result.mismatches.forEach((mismatch) => {
+        diagnostics.error({
+            message: `Documented endpoint ${describe(mismatch.documented)} is mounted as ${describe(mismatch.mounted)}.`,
+            tag: 'route'
+        });
+    });
+    diagnostics.assert();
+    return result;
+}
+
+module.exports = {
+    convertExpressPath,
+    normalizePath,
+    listRoutes,
+    compareRoutes,
+    checkRoutes
+};
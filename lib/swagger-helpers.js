@@ -80,6 +80,59 @@ function _objectMerge(obj1, obj2) {
 	return obj3;
 }
 
+/**
+ * Deep merges `source` into `target`, keys of `source` winning. Arrays of parameters
+ * are merged by `name` and `in`, other arrays are replaced.
+ * @function
+ * @param {object} target - Object to merge into, modified
+ * @param {object} source - Object to merge
+ * @returns {object} The target
+ */
+function deepMerge(target, source) {
+	for (let key in source) {
+		if (!source.hasOwnProperty(key)) {
+			continue;
+		}
+		let value = source[key];
+		let current = target[key];
+		if (_isPlainObject(value) && _isPlainObject(current)) {
+			deepMerge(current, value);
+		} else if (Array.isArray(value) && Array.isArray(current) && _isParameterList(value) && _isParameterList(current)) {
+			value.forEach((param) => {
+				let index = current.findIndex((item) => item.name === param.name && (!param.in || item.in === param.in));
+				if (index > -1) {
+					deepMerge(current[index], param);
+				} else {
+					current.push(param);
+				}
+			});
+		} else {
+			target[key] = value;
+		}
+	}
+	return target;
+}
+
+/**
+ * Checks whether a value is a plain object, ie. not an array or null.
+ * @function
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it's a plain object
+ */
+function _isPlainObject(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks whether an array holds named parameters.
+ * @function
+ * @param {array} list - Array to check
+ * @returns {boolean} Whether every item has a `name`
+ */
+function _isParameterList(list) {
+	return list.length > 0 && list.every((item) => _isPlainObject(item) && typeof item.name === 'string');
+}
+
 /**
  * Adds necessary swagger schema object properties.
  * @see https://goo.gl/Eoagtl
@@ -98,6 +151,39 @@ function swaggerizeObj(swaggerObject) {
 	return swaggerObject;
 }
 
+/**
+ * HTTP methods an operation can be documented for.
+ * @type {string[]}
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * Separators of the Swagger 2.0 `collectionFormat`s, `multi` repeating the parameter instead.
+ * @type {object}
+ */
+const COLLECTION_SEPARATORS = {
+	csv: ',',
+	ssv: ' ',
+	tsv: '\t',
+	pipes: '|',
+	multi: ','
+};
+
+/**
+ * Returns the path the spec paths are relative to: `basePath` for Swagger 2.0,
+ * the path of the first server for OpenAPI 3.
+ * @function
+ * @param {object} spec - Swagger 2.0 or OpenAPI 3 spec
+ * @returns {string} Base path without trailing slash
+ */
+function basePath(spec) {
+	let base = spec.basePath || '';
+	if (spec.openapi && spec.servers && spec.servers.length) {
+		base = spec.servers[0].url.replace(/^[a-z]+:\/\/[^/]*/i, '');
+	}
+	return base.replace(/\/$/, '');
+}
+
 /**
  * List of deprecated or wrong swagger schema properties in singular.
  * @function
@@ -255,16 +341,387 @@ function findDeprecated(sources) {
 	return problems;
 }
 /**
- * Converts Sequelize model property to OpenAPI 2.0 property
+ * Reports a non fatal problem found while generating definitions.
+ * @function
+ * @param {object} options - Configuration options, warnings go to `options.diagnostics` when given
+ *                           and are logged otherwise when `options.warnings` is set
+ * @param {string} message - Warning message
+ */
+function _warn(options, message) {
+    if (options && options.diagnostics) {
+        options.diagnostics.warning({ message });
+    } else if (options && options.warnings) {
+        console.warn('\x1b[33m%s\x1b[0m', message);
+    }
+}
+/**
+ * Unwraps the arguments of a Sequelize validator, given either directly
+ * or as `{ args, msg }`.
+ * @function
+ * @param {*} validator - Sequelize validator value
+ * @returns {*} Validator arguments
+ */
+function _validatorArgs(validator) {
+    if (validator && typeof validator === 'object' && !Array.isArray(validator) &&
+        !(validator instanceof RegExp) && validator.hasOwnProperty('args')) {
+        return validator.args;
+    }
+    return validator;
+}
+/**
+ * Converts the arguments of a Sequelize `is` / `not` validator to a regex source.
+ * Regex flags can't be expressed in a Swagger pattern and are dropped.
+ * @function
+ * @param {RegExp|string|Array} validator - Sequelize validator value
+ * @returns {string} Regex source
+ */
+function _validatorPattern(validator) {
+    const args = _validatorArgs(validator);
+    const pattern = Array.isArray(args) ? args[0] : args;
+    return pattern instanceof RegExp ? pattern.source : String(pattern);
+}
+/**
+ * Adds the JSON Schema constraints matching the Sequelize validators of an attribute.
+ * Custom validator functions can't be expressed and are skipped.
+ * @function
+ * @param {object} prop - OpenAPI 2.0 property to update
+ * @param {object} property - Sequelize model property
+ * @param {object} [options] - Configuration options
+ * @returns {object} The updated OpenAPI 2.0 property
+ */
+function constructValidators(prop, property, options) {
+    const validate = property.validate || {};
+    let is;
+    let not;
+
+    Object.keys(validate).forEach((name) => {
+        const validator = validate[name];
+        if (validator === false) {
+            return;
+        }
+        const args = _validatorArgs(validator);
+        switch (name) {
+            case 'len':
+                if (Array.isArray(args)) {
+                    if (args[0] !== undefined) {
+                        prop.minLength = args[0];
+                    }
+                    if (args[1] !== undefined) {
+                        prop.maxLength = prop.maxLength === undefined ? args[1] : Math.min(prop.maxLength, args[1]);
+                    }
+                }
+                break;
+            case 'min':
+                prop.minimum = Number(Array.isArray(args) ? args[0] : args);
+                break;
+            case 'max':
+                prop.maximum = Number(Array.isArray(args) ? args[0] : args);
+                break;
+            case 'isEmail':
+                prop.format = 'email';
+                break;
+            case 'isUrl':
+                prop.format = 'uri';
+                break;
+            case 'isUUID':
+                prop.format = 'uuid';
+                break;
+            case 'isIn':
+                if (Array.isArray(args)) {
+                    prop.enum = Array.isArray(args[0]) ? args[0] : args;
+                }
+                break;
+            case 'is':
+                is = _validatorPattern(validator);
+                break;
+            case 'not':
+                not = _validatorPattern(validator);
+                break;
+            default:
+                if (typeof validator === 'function') {
+                    _warn(options, `Custom validator '${name}' of '${property.fieldName}' can't be expressed in the schema and was skipped.`);
+                }
+        }
+    });
+
+    if (is !== undefined && not !== undefined) {
+        prop.pattern = `^(?!.*(?:${not}))(?=.*(?:${is}))`;
+    } else if (is !== undefined) {
+        prop.pattern = is;
+    } else if (not !== undefined) {
+        prop.pattern = `^(?!.*(?:${not}))`;
+    }
+    return prop;
+}
+/**
+ * Describes a `defaultValue` which is computed by Sequelize or the database
+ * instead of being a static value.
+ * @function
+ * @param {*} defaultValue - Sequelize attribute default value
+ * @returns {string|undefined} Description, undefined for static values
+ */
+function _defaultValueNote(defaultValue) {
+    if (typeof defaultValue === 'function') {
+        // DataTypes passed as class, eg. `DataTypes.NOW`, or a plain function
+        defaultValue = DataTypes[defaultValue.key] === defaultValue ? new defaultValue() : defaultValue;
+        if (typeof defaultValue === 'function') {
+            return 'Defaults to a generated value.';
+        }
+    }
+    if (!defaultValue || typeof defaultValue !== 'object') {
+        return undefined;
+    }
+    switch (defaultValue.constructor.name) {
+        case 'NOW':
+            return 'Defaults to the current date and time.';
+        case 'UUIDV1':
+            return 'Defaults to a generated UUID v1.';
+        case 'UUIDV4':
+            return 'Defaults to a generated UUID v4.';
+        case 'Fn':
+            return `Defaults to \`${defaultValue.fn}()\` evaluated by the database.`;
+        case 'Literal':
+            return `Defaults to \`${defaultValue.val}\` evaluated by the database.`;
+        default:
+            return undefined;
+    }
+}
+/**
+ * Adds the description, default and example of an attribute. `comment` becomes the
+ * description, a static `defaultValue` the default, and an optional
+ * `swagger: { example, description, format }` key on the attribute overrides them.
+ * @function
+ * @param {object} prop - OpenAPI 2.0 property to update
+ * @param {object} property - Sequelize model property
+ * @returns {object} The updated OpenAPI 2.0 property
+ */
+function constructMetadata(prop, property) {
+    const swagger = property.swagger || {};
+    const note = _defaultValueNote(property.defaultValue);
+    let description = swagger.description !== undefined ? swagger.description : property.comment;
+
+    if (note) {
+        description = description ? `${description.replace(/\.?\s*$/, '.')} ${note}` : note;
+    } else if (property.defaultValue !== undefined) {
+        prop.default = property.defaultValue instanceof Date ?
+            property.defaultValue.toISOString() : property.defaultValue;
+    }
+    if (description) {
+        prop.description = description;
+    }
+    if (swagger.format !== undefined) {
+        prop.format = swagger.format;
+    }
+    if (swagger.example !== undefined) {
+        prop.example = swagger.example;
+    }
+    return prop;
+}
+/**
+ * Maps a Sequelize integer type to an OpenAPI 2.0 property. Only `int32` and `int64`
+ * are standard formats, narrower types are bounded with `minimum` / `maximum`.
+ * @function
+ * @param {object} type - Sequelize integer data type
+ * @param {number} bits - Storage size of the type
+ * @returns {object} OpenAPI 2.0 property
+ */
+function _integerProperty(type, bits) {
+    const unsigned = !!(type._unsigned || type._zerofill);
+    const prop = {
+        type: 'integer',
+        format: bits < 32 || (bits === 32 && !unsigned) ? 'int32' : 'int64',
+    };
+    if (bits === 64) {
+        if (unsigned) {
+            prop.minimum = 0;
+        }
+        return prop;
+    }
+    if (unsigned) {
+        prop.minimum = 0;
+        prop.maximum = Math.pow(2, bits) - 1;
+    } else if (bits < 32) {
+        prop.minimum = -Math.pow(2, bits - 1);
+        prop.maximum = Math.pow(2, bits - 1) - 1;
+    }
+    return prop;
+}
+/**
+ * Maps a Sequelize DECIMAL to an OpenAPI 2.0 property, bounded by its precision,
+ * with the scale as `x-scale`. With `options.decimalAsString` it's described as a string, which is
+ * how drivers like pg return it to keep the precision.
+ * @function
+ * @param {object} type - Sequelize DECIMAL data type
+ * @param {object} [options] - Configuration options
+ * @returns {object} OpenAPI 2.0 property
+ */
+function _decimalProperty(type, options) {
+    const precision = type._precision;
+    const scale = type._scale || 0;
+    const unsigned = !!(type._unsigned || type._zerofill);
+
+    if (options && options.decimalAsString) {
+        const integer = precision ? `{1,${Math.max(precision - scale, 1)}}` : '+';
+        const fraction = scale ? `(\\.\\d{1,${scale}})?` : (precision ? '' : '(\\.\\d+)?');
+        return {
+            type: 'string',
+            format: 'decimal',
+            pattern: `^${unsigned ? '' : '-?'}\\d${integer}${fraction}$`,
+        };
+    }
+
+    const prop = {
+        type: 'number',
+    };
+    if (precision) {
+        const limit = Math.pow(10, precision - scale);
+        prop.maximum = limit;
+        prop.exclusiveMaximum = true;
+        prop.minimum = unsigned ? 0 : -limit;
+        prop.exclusiveMinimum = !unsigned;
+        // `multipleOf: 0.01` rejects values like 0.07 because of floating point errors
+        if (scale) {
+            prop['x-scale'] = scale;
+        }
+    } else if (unsigned) {
+        prop.minimum = 0;
+    }
+    return prop;
+}
+/**
+ * GeoJSON geometry types and how deeply their coordinates are nested.
+ * @type {object}
+ */
+const GEOJSON_TYPES = {
+    POINT: { name: 'Point', depth: 1 },
+    LINESTRING: { name: 'LineString', depth: 2 },
+    MULTIPOINT: { name: 'MultiPoint', depth: 2 },
+    POLYGON: { name: 'Polygon', depth: 3 },
+    MULTILINESTRING: { name: 'MultiLineString', depth: 3 },
+    MULTIPOLYGON: { name: 'MultiPolygon', depth: 4 },
+    GEOMETRYCOLLECTION: { name: 'GeometryCollection', depth: 0 },
+};
+/**
+ * Maps a Sequelize GEOMETRY / GEOGRAPHY to an OpenAPI 2.0 GeoJSON property, narrowed
+ * to the declared geometry type and SRID when given.
+ * @function
+ * @param {object} type - Sequelize GEOMETRY or GEOGRAPHY data type
+ * @returns {object} OpenAPI 2.0 property
+ */
+function _geometryProperty(type) {
+    const geometry = type.type && GEOJSON_TYPES[String(type.type).toUpperCase()];
+    const position = {
+        type: 'array',
+        minItems: 2,
+        items: {
+            type: 'number',
+        },
+    };
+    const prop = {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: {
+                type: 'string',
+                enum: geometry ? [geometry.name] : Object.values(GEOJSON_TYPES).map((item) => item.name),
+            },
+        },
+    };
+
+    if (!geometry) {
+        prop.properties.coordinates = { type: 'array', items: {} };
+        prop.properties.geometries = { type: 'array', items: { type: 'object' } };
+    } else if (geometry.depth) {
+        let coordinates = position;
+        for (let i = 1; i < geometry.depth; i = i + 1) {
+            coordinates = { type: 'array', items: coordinates };
+        }
+        prop.properties.coordinates = coordinates;
+        prop.required.push('coordinates');
+    } else {
+        prop.properties.geometries = { type: 'array', items: { type: 'object' } };
+        prop.required.push('geometries');
+    }
+
+    prop.properties.crs = {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['name'] },
+            properties: {
+                type: 'object',
+                properties: {
+                    name: type.srid ? { type: 'string', enum: [`EPSG:${type.srid}`] } : { type: 'string' },
+                },
+            },
+        },
+    };
+    return prop;
+}
+/**
+ * Maps a Sequelize RANGE to an OpenAPI 2.0 property: a `[lower, upper]` pair of
+ * bounds. Sequelize also accepts `{ value, inclusive }` bounds, which Swagger 2.0
+ * can't express next to the plain values.
+ * @function
+ * @param {object} subtype - OpenAPI 2.0 property of the range subtype
+ * @returns {object} OpenAPI 2.0 property
+ */
+function _rangeProperty(subtype) {
+    return {
+        type: 'array',
+        minItems: 2,
+        maxItems: 2,
+        items: subtype,
+        description: 'Range as `[lower, upper]`, a bound may also be `{ value, inclusive }`.',
+    };
+}
+/**
+ * Looks up a custom mapper for a Sequelize data type in `options.typeMappers`,
+ * by type key first and constructor name second. Mappers take precedence over the
+ * built-in mapping and are called with the type, the attribute and the options,
+ * returning an OpenAPI 2.0 schema fragment.
+ * @function
+ * @param {object} type - Sequelize data type
+ * @param {object} [options] - Configuration options
+ * @returns {function|undefined} Type mapper
+ */
+function _typeMapper(type, options) {
+    const typeMappers = options && options.typeMappers;
+    if (!typeMappers || !type) {
+        return undefined;
+    }
+    if (type.key && typeof typeMappers[type.key] === 'function') {
+        return typeMappers[type.key];
+    }
+    if (typeof typeMappers[type.constructor.name] === 'function') {
+        return typeMappers[type.constructor.name];
+    }
+    return undefined;
+}
+/**
+ * Marks the property of a column which allows null as `x-nullable`, primary keys never do.
+ * @function
+ * @param {object} prop - OpenAPI 2.0 property, modified
+ * @param {object} property - Sequelize model property
+ * @returns {object} The given property
+ */
+function _nullable(prop, property) {
+    if (property.allowNull !== false && !property.primaryKey) {
+        prop['x-nullable'] = true;
+    }
+    return prop;
+}
+/**
+ * Converts Sequelize model property to OpenAPI 2.0 property.
+ * Types without a custom or built-in mapping result in a property without `type`.
  * @function
  * @param {object} property - Sequelize model property
+ * @param {object} [options] - Configuration options
  * @returns {object} OpenAPI 2.0 property
  * @requires Sequelize.DataTypes
  */
-function constructProperty(property) {
+function constructProperty(property, options) {
     const {
         type,
-        allowNull,
     } = property;
     const prop = {};
 
@@ -275,9 +732,10 @@ function constructProperty(property) {
     // # Host Name
 	const hostname = '^(([a-zA-Z0-9]|[a-zA-Z0-9][a-zA-Z0-9\-]*[a-zA-Z0-9])\.)*([A-Za-z0-9]|[A-Za-z0-9][A-Za-z0-9\-]*[A-Za-z0-9])$';
 	
-	if (!(DataTypes[type.constructor.name] || typeof DataTypes[type.constructor.name] === 'function')) {
-		// TODO: Process custom model type definitions
-		return prop;
+	const mapper = _typeMapper(type, options);
+	if (mapper) {
+		Object.assign(prop, mapper(type, property, options));
+		return constructMetadata(constructValidators(_nullable(prop, property), property, options), property);
 	}
     if (type.constructor.name === 'ABSTRACT') {
         prop.type = 'object';
@@ -285,13 +743,13 @@ function constructProperty(property) {
     if (type.constructor.name === 'ARRAY') {
         const subtype = constructProperty({
             type: type.type,
-        })
+            allowNull: false,
+        }, options)
         prop.type = 'array';
         prop.items = subtype;
     }
     if (type.constructor.name === 'BIGINT') {
-        prop.type = 'integer';
-        prop.format = 'int64';
+        Object.assign(prop, _integerProperty(type, 64));
     }
     if (type.constructor.name === 'BLOB') {
         prop.type = 'string';
@@ -321,8 +779,7 @@ function constructProperty(property) {
         prop.format = 'date';
     }
     if (type.constructor.name === 'DECIMAL') {
-        prop.type = 'number';
-        prop.format = 'float';
+        Object.assign(prop, _decimalProperty(type, options));
     }
     if (type.constructor.name === 'DOUBLE') {
         prop.type = 'number';
@@ -336,35 +793,8 @@ function constructProperty(property) {
         prop.type = 'number';
         prop.format = 'float';
     }
-    if (type.constructor.name === 'GEOGRAPHY') {
-        prop.type = 'string';
-    }
-    if (type.constructor.name === 'GEOMETRY') {
-        prop.type = 'object';
-        prop.required = [
-            'type',
-            'coordinates',
-        ];
-        prop.properties = {
-            crs: {
-                type: 'object',
-            },
-            coordinates: {
-                type: 'array',
-                items: 'number',
-            },
-            type: {
-                type: 'string',
-                enum: [
-                    'Unknown',
-                    'Point',
-                    'Multipoint',
-                    'Polyline',
-                    'Polygon',
-                    'Envelop',
-                ]
-            }
-        };
+    if (type.constructor.name === 'GEOGRAPHY' || type.constructor.name === 'GEOMETRY') {
+        Object.assign(prop, _geometryProperty(type));
     }
     if (type.constructor.name === 'HSTORE') {
         prop.type = 'object';
@@ -375,8 +805,7 @@ function constructProperty(property) {
         prop.pattern = `((${ipv4} ? ${inet}) | (${ipv6} ? ${inet}) | (${hostname} ? ${inet}))`;
     }
     if (type.constructor.name === 'INTEGER') {
-        prop.type = 'integer';
-        prop.format = 'int32';
+        Object.assign(prop, _integerProperty(type, 32));
     }
     if (type.constructor.name === 'JSON') {
         prop.type = 'object';
@@ -389,8 +818,7 @@ function constructProperty(property) {
         prop.format = 'mac';
     }
     if (type.constructor.name === 'MEDIUMINT') {
-        prop.type = 'integer';
-        prop.format = 'int24';
+        Object.assign(prop, _integerProperty(type, 24));
     }
     if (type.constructor.name === 'NOW') {
         prop.type = 'integer';
@@ -402,16 +830,16 @@ function constructProperty(property) {
     if (type.constructor.name === 'RANGE') {
         const subtype = constructProperty({
             type: type.options.subtype,
-        })
-        prop.type = subtype.type;
+            allowNull: false,
+        }, options)
+        Object.assign(prop, _rangeProperty(subtype));
     }
     if (type.constructor.name === 'REAL') {
         prop.type = 'number';
         prop.format = 'float';
     }
     if (type.constructor.name === 'SMALLINT') {
-        prop.type = 'integer';
-        prop.format = 'int16'
+        Object.assign(prop, _integerProperty(type, 16));
     }
     if (type.constructor.name === 'STRING') {
         prop.type = 'string';
@@ -426,8 +854,7 @@ function constructProperty(property) {
         prop.format = 'partial-time';
     }
     if (type.constructor.name === 'TINYINT') {
-        prop.type = 'integer';
-        prop.format = 'int8'
+        Object.assign(prop, _integerProperty(type, 8));
     }
     if (type.constructor.name === 'UUID') {
         prop.type = 'string';
@@ -444,53 +871,525 @@ function constructProperty(property) {
     if (type.constructor.name === 'VIRTUAL') {
         prop.type = 'object';
     }
-    
-    return prop;
+    // UNSIGNED and ZEROFILL numeric types
+    if ((type._unsigned || type._zerofill) && (prop.type === 'integer' || prop.type === 'number') &&
+        prop.minimum === undefined) {
+        prop.minimum = 0;
+    }
+
+    return constructMetadata(constructValidators(_nullable(prop, property), property, options), property);
 };
 /**
- * Generates a single OpenAPI 2.0 definition from Sequelize model
+ * Generates the OpenAPI 2.0 properties for the associations of a Sequelize model
  * @function
  * @param {object} model - Sequelize model
- * @returns {object} OpenAPI 2.0 definition
+ * @param {object} included - Sequelize models which get a definition, by name
+ * @returns {object} OpenAPI 2.0 properties referencing the associated models
  */
-function constructRefModel(model) {
+function constructAssociations(model, included) {
+    return Object.values(model.associations || {}).reduce((accumulator, association) => {
+        // Targets left out by the depth guard can't be referenced
+        if (!included[association.target.name]) {
+            return accumulator;
+        }
+        const ref = {
+            '$ref': '#/definitions/' + association.target.name,
+        };
+        accumulator[association.as] = association.isMultiAssociation ? {
+            type: 'array',
+            items: ref,
+        } : ref;
+        return accumulator;
+    }, {});
+};
+/**
+ * Checks whether a Sequelize model attribute is set by the database or Sequelize
+ * rather than by the client: autoIncrement primary keys, timestamps and attributes
+ * with a `defaultValue`.
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {object} attribute - Sequelize model attribute
+ * @returns {boolean} Whether the attribute is read only
+ */
+function _isReadOnlyAttribute(model, attribute) {
+    const timestamps = Object.values(model._timestampAttributes || {});
+    return !!(attribute.primaryKey && attribute.autoIncrement) ||
+        attribute.defaultValue !== undefined ||
+        timestamps.indexOf(attribute.fieldName) > -1;
+}
+/**
+ * Checks whether a Sequelize model attribute is left out of the schema. That is
+ * the case when it's annotated with `swagger: { hidden: true }`, excluded by the
+ * model's `defaultScope`, a `VIRTUAL` without getter, or listed in `options.exclude`.
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {object} attribute - Sequelize model attribute
+ * @param {object} [options] - Configuration options, `options.exclude` maps model names to attribute names
+ * @returns {boolean} Whether the attribute is excluded
+ */
+function _isExcludedAttribute(model, attribute, options) {
+    const name = attribute.fieldName;
+    if (attribute.swagger && attribute.swagger.hidden) {
+        return true;
+    }
+    const exclude = options && options.exclude && options.exclude[model.name];
+    if (Array.isArray(exclude) && exclude.indexOf(name) > -1) {
+        return true;
+    }
+    const scope = model.options && model.options.defaultScope;
+    const attributes = scope && scope.attributes;
+    if (Array.isArray(attributes) && attributes.indexOf(name) === -1) {
+        return true;
+    }
+    if (attributes && Array.isArray(attributes.exclude) && attributes.exclude.indexOf(name) > -1) {
+        return true;
+    }
+    if (attribute.type && attribute.type.constructor.name === 'VIRTUAL') {
+        const getterMethods = model.options && model.options.getterMethods;
+        return !attribute.get && !(getterMethods && getterMethods[name]);
+    }
+    return false;
+}
+/**
+ * Generates the OpenAPI 2.0 definitions of a single Sequelize model:
+ * `<Model>` to read, and unless disabled `<Model>Create` and `<Model>Update`
+ * (every property optional) for request bodies. Read only attributes are marked
+ * `readOnly`, and not required, in the read definition and left out of the input ones. Excluded
+ * attributes, see `_isExcludedAttribute`, are left out entirely.
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {object} [included] - Sequelize models which get a definition, by name, used for associations
+ * @param {object} [options] - Configuration options, see `buildFromSequelize`
+ * @param {object} [unmapped] - Collects the attributes without type mapping, by type name
+ * @returns {object} OpenAPI 2.0 definitions
+ */
+function constructRefModel(model, included, options, unmapped) {
+    options = options || {};
     const {
         rawAttributes,
     } = model;
-    const refModel = Object.values(rawAttributes).reduce((accumulator, value) => {
-        if (!(accumulator.required && accumulator.required.length)) {
-            accumulator.required = [];
+    const read = { properties: {} };
+    const create = { properties: {} };
+    const readRequired = [];
+    const createRequired = [];
+
+    Object.values(rawAttributes).forEach((value) => {
+        if (_isExcludedAttribute(model, value, options)) {
+            return;
         }
-        if (value.allowNull === false) {
-            accumulator.required.push(value.fieldName);
+        const property = constructProperty(value, options);
+        if (unmapped && !property.type && !_typeMapper(value.type, options)) {
+            const typeName = value.type.constructor.name;
+            unmapped[typeName] = (unmapped[typeName] || []).concat(`${model.name}.${value.fieldName}`);
+        }
+        // Swagger 2.0 says read only properties should not be required
+        if (_isReadOnlyAttribute(model, value)) {
+            read.properties[value.fieldName] = { ...property, readOnly: true };
+        } else {
+            read.properties[value.fieldName] = property;
+            create.properties[value.fieldName] = property;
+            if (value.allowNull === false || value.primaryKey) {
+                readRequired.push(value.fieldName);
+                createRequired.push(value.fieldName);
+            }
         }
+    });
 
-        accumulator.properties = {
-            ...accumulator.properties,
-            [value.fieldName]: constructProperty(value),
+    if (readRequired.length) {
+        read.required = readRequired;
+    }
+    if (included) {
+        read.properties = {
+            ...read.properties,
+            ...constructAssociations(model, included),
         };
-        return accumulator;
-    }, {});
+    }
+    if (options.variants === false) {
+        return {
+            [model.name]: read
+        };
+    }
+    if (createRequired.length) {
+        create.required = createRequired;
+    }
 
     return {
-        [model.name]: refModel
+        [model.name]: read,
+        [model.name + 'Create']: create,
+        [model.name + 'Update']: { properties: { ...create.properties } },
     };
 };
+/**
+ * Collects the Sequelize models to generate definitions for.
+ * Walks the associations breadth first so models which were not passed in, but are
+ * associated, are included up to `depth` associations away. Every model is visited
+ * once, so cyclic associations (User -> Post -> User) end the walk.
+ * @function
+ * @param {object} models - Sequelize models
+ * @param {number} depth - How many associations away from `models` to include targets
+ * @returns {object} Sequelize models by name
+ */
+function collectModels(models, depth) {
+    const included = {};
+    const queue = Object.values(models).map((model) => ({ model, depth: 0 }));
+
+    while (queue.length) {
+        const item = queue.shift();
+        if (included[item.model.name]) {
+            continue;
+        }
+        included[item.model.name] = item.model;
+        if (item.depth < depth) {
+            Object.values(item.model.associations || {}).forEach((association) => {
+                queue.push({ model: association.target, depth: item.depth + 1 });
+            });
+        }
+    }
+    return included;
+};
 /**
  * Generates the OpenAPI 2.0 definitions from Sequelize models
  * @function
  * @param {object} models - Sequelize models
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.associations=true] - Add associations as properties referencing the target model
+ * @param {number} [options.associationDepth=1] - How many associations away from `models` to pull in target models
+ * @param {boolean} [options.variants=true] - Add `<Model>Create` and `<Model>Update` input definitions
+ * @param {object} [options.exclude] - Attribute names to leave out, by model name
+ * @param {boolean} [options.decimalAsString=false] - Describe DECIMAL as a string instead of a number
+ * @param {object} [options.typeMappers] - Functions returning the schema of a data type, by type key or constructor name
+ * @param {boolean} [options.warnings=false] - Log attributes which can't be fully expressed in the schema
  * @returns {object} OpenAPI 2.0 properties
  */
-function buildFromSequelize(models) {
-    return Object.values(models).reduce((accumulator, value) => {
-        return { ...accumulator, ...constructRefModel(value) };
+function buildFromSequelize(models, options) {
+    options = options || {};
+    const associations = options.associations !== false;
+    const depth = associations && options.associationDepth !== undefined ? options.associationDepth : 1;
+    const included = collectModels(models, associations ? depth : 0);
+    const unmapped = {};
+
+    const definitions = Object.values(included).reduce((accumulator, value) => {
+        return { ...accumulator, ...constructRefModel(value, associations ? included : undefined, options, unmapped) };
     }, {});
+
+    const unmappedTypes = Object.keys(unmapped);
+    if (unmappedTypes.length) {
+        _warn(options, 'Unmapped Sequelize data types, add them to `typeMappers`:\n' + unmappedTypes.map((typeName) => {
+            return `  ${typeName}: ${unmapped[typeName].join(', ')}`;
+        }).join('\n'));
+    }
+    return definitions;
+}
+
+/**
+ * Operations which can be generated for a Sequelize model.
+ * @type {string[]}
+ */
+const CRUD_OPERATIONS = ['list', 'read', 'create', 'update', 'patch', 'delete'];
+/**
+ * Resolves the CRUD configuration of a single Sequelize model.
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {boolean|object} crud - `true` for every model, or a map of model name to
+ *                                `true`, an array of operations or `{path, operations}`
+ * @returns {object|undefined} Base path and operations, undefined when disabled
+ */
+function _crudOptions(model, crud) {
+    let conf = crud === true ? true : crud && crud[model.name];
+    if (!conf) {
+        return undefined;
+    }
+    if (conf === true || Array.isArray(conf)) {
+        conf = { operations: conf };
+    }
+    const name = model.options.name.plural;
+    return {
+        path: conf.path || '/' + name.charAt(0).toLowerCase() + name.slice(1),
+        operations: Array.isArray(conf.operations) ? conf.operations : CRUD_OPERATIONS,
+    };
+}
+/**
+ * Generates the OpenAPI 2.0 CRUD paths of a single Sequelize model
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {object} conf - Base path and operations, see `_crudOptions`
+ * @param {object} [options] - Configuration options, the type options apply to the primary key
+ * @returns {object} OpenAPI 2.0 paths
+ */
+function constructCrudPaths(model, conf, options) {
+    const ref = {
+        '$ref': '#/definitions/' + model.name,
+    };
+    const createRef = conf.variants === false ? ref : {
+        '$ref': '#/definitions/' + model.name + 'Create',
+    };
+    const updateRef = conf.variants === false ? ref : {
+        '$ref': '#/definitions/' + model.name + 'Update',
+    };
+    const tags = [model.name];
+    const singular = model.options.name.singular;
+    const plural = model.options.name.plural;
+    const has = (operation) => conf.operations.indexOf(operation) > -1;
+    const paths = {};
+
+    const collection = {};
+    if (has('list')) {
+        collection.get = {
+            operationId: 'list' + plural,
+            summary: `List ${plural}`,
+            tags,
+            parameters: [],
+            responses: {
+                200: { description: `A list of ${plural}`, schema: { type: 'array', items: ref } },
+            },
+        };
+    }
+    if (has('create')) {
+        collection.post = {
+            operationId: 'create' + singular,
+            summary: `Create a ${singular}`,
+            tags,
+            parameters: [{ name: 'body', in: 'body', required: true, schema: createRef }],
+            responses: {
+                201: { description: `The created ${singular}`, schema: ref },
+            },
+        };
+    }
+    if (Object.keys(collection).length) {
+        paths[conf.path] = collection;
+    }
+
+    // Item operations need a primary key to address the instance
+    const primaryKeys = model.primaryKeyAttributes || [];
+    if (!primaryKeys.length) {
+        return paths;
+    }
+    const pathParameters = primaryKeys.map((key) => {
+        const property = constructProperty(model.rawAttributes[key], options);
+        return {
+            name: key,
+            in: 'path',
+            required: true,
+            type: property.type || 'string',
+            format: property.format,
+        };
+    });
+    const itemPath = conf.path + primaryKeys.map((key) => `/{${key}}`).join('');
+    const notFound = { description: `${singular} not found` };
+
+    const item = {};
+    if (has('read')) {
+        item.get = {
+            operationId: 'get' + singular,
+            summary: `Get a ${singular}`,
+            tags,
+            parameters: pathParameters,
+            responses: {
+                200: { description: `The ${singular}`, schema: ref },
+                404: notFound,
+            },
+        };
+    }
+    if (has('update')) {
+        item.put = {
+            operationId: 'update' + singular,
+            summary: `Update a ${singular}`,
+            tags,
+            parameters: pathParameters.concat({ name: 'body', in: 'body', required: true, schema: createRef }),
+            responses: {
+                200: { description: `The updated ${singular}`, schema: ref },
+                404: notFound,
+            },
+        };
+    }
+    if (has('patch')) {
+        item.patch = {
+            operationId: 'patch' + singular,
+            summary: `Partially update a ${singular}`,
+            tags,
+            parameters: pathParameters.concat({ name: 'body', in: 'body', required: true, schema: updateRef }),
+            responses: {
+                200: { description: `The updated ${singular}`, schema: ref },
+                404: notFound,
+            },
+        };
+    }
+    if (has('delete')) {
+        item.delete = {
+            operationId: 'delete' + singular,
+            summary: `Delete a ${singular}`,
+            tags,
+            parameters: pathParameters,
+            responses: {
+                204: { description: `${singular} deleted` },
+                404: notFound,
+            },
+        };
+    }
+    if (Object.keys(item).length) {
+        paths[itemPath] = item;
+    }
+    return paths;
+};
+/**
+ * Normalizes a model or path segment name for comparison, eg. `blog-posts` to `blogposts`.
+ * @function
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+function _comparableName(name) {
+    return String(name).replace(/[-_\s]/g, '').toLowerCase();
+}
+/**
+ * Finds the model a path parameter holds the primary key of and returns the parameter type.
+ * The model is found by the parameter name, `userId` or `user_id` for the `id` of `User`,
+ * or by the static path segment before it, `/users/{id}`, or, failing both, by being the only
+ * model with a primary key of that name.
+ * @function
+ * @param {object} models - Sequelize models
+ * @param {string} uri - Swagger path, eg. `/users/{id}`
+ * @param {string} name - Parameter name
+ * @param {object} [options] - Generator options, for `typeMappers`
+ * @returns {object|undefined} `{type, format}` of the primary key, undefined without a match
+ */
+function pathParameterSchema(models, uri, name, options) {
+    const list = Object.keys(models || {}).map((key) => models[key])
+        .filter((model) => model && model.rawAttributes && (model.primaryKeyAttributes || []).length === 1);
+    const pk = (model) => model.primaryKeyAttributes[0];
+    const names = (model) => [model.name, model.options.name.singular, model.options.name.plural, model.tableName]
+        .filter(Boolean).map(_comparableName);
+
+    const segments = uri.split('/');
+    const index = segments.indexOf('{' + name + '}');
+    const previous = index > 0 ? segments.slice(0, index).reverse().find((segment) => segment && segment.charAt(0) !== '{') : undefined;
+
+    const model = list.find((candidate) => names(candidate).some((modelName) => {
+        return _comparableName(name) === modelName + _comparableName(pk(candidate));
+    })) || list.find((candidate) => {
+        return pk(candidate) === name && previous !== undefined && names(candidate).indexOf(_comparableName(previous)) > -1;
+    }) || (() => {
+        const owners = list.filter((candidate) => pk(candidate) === name);
+        return owners.length === 1 ? owners[0] : undefined;
+    })();
+    if (!model) {
+        return undefined;
+    }
+    const property = constructProperty(model.rawAttributes[pk(model)], options);
+    return {
+        type: property.type || 'string',
+        format: property.format,
+    };
+}
+/**
+ * Types an attribute needs to be filtered or sorted on in the query string.
+ * @type {string[]}
+ */
+const QUERY_TYPES = ['string', 'integer', 'number', 'boolean'];
+/**
+ * Generates the query parameters and response schema of a list endpoint backed by
+ * `Model.findAndCountAll`: `limit`, `offset` or `page`, an `order` restricted to the
+ * attributes (`-` prefix for descending) and one equality filter per attribute.
+ * Attributes that are hidden or can't be expressed in a query string are left out.
+ * @function
+ * @param {object} model - Sequelize model
+ * @param {object} [options] - Configuration options
+ * @param {object} [options.pagination] - `{style: 'offset'|'page', defaultLimit, maxLimit}`
+ * @returns {object} OpenAPI 2.0 `parameters` and the `{rows, count}` envelope `schema`
+ */
+function constructListPreset(model, options) {
+    options = options || {};
+    const pagination = Object.assign({ style: 'offset' }, options.pagination);
+    const limit = { name: 'limit', in: 'query', required: false, type: 'integer', minimum: 1, description: 'Maximum number of results' };
+    if (pagination.defaultLimit) {
+        limit.default = pagination.defaultLimit;
+    }
+    if (pagination.maxLimit) {
+        limit.maximum = pagination.maxLimit;
+    }
+    const parameters = [limit];
+    if (pagination.style === 'page') {
+        parameters.push({ name: 'page', in: 'query', required: false, type: 'integer', minimum: 1, default: 1, description: 'Page number, starting at 1' });
+    } else {
+        parameters.push({ name: 'offset', in: 'query', required: false, type: 'integer', minimum: 0, default: 0, description: 'Number of results to skip' });
+    }
+
+    const reserved = ['limit', 'offset', 'page', 'order'];
+    const sortable = [];
+    const filters = [];
+    Object.keys(model.rawAttributes).forEach((key) => {
+        const attribute = model.rawAttributes[key];
+        if (reserved.indexOf(key) > -1 || _isExcludedAttribute(model, attribute, options)) {
+            return;
+        }
+        const property = constructProperty(attribute, options);
+        if (QUERY_TYPES.indexOf(property.type) === -1) {
+            return;
+        }
+        sortable.push(key, '-' + key);
+        const filter = { name: key, in: 'query', required: false, type: property.type, description: `Only results with this ${key}` };
+        ['format', 'enum'].forEach((name) => {
+            if (property[name] !== undefined) {
+                filter[name] = property[name];
+            }
+        });
+        filters.push(filter);
+    });
+    if (sortable.length) {
+        parameters.push({
+            name: 'order',
+            in: 'query',
+            required: false,
+            type: 'array',
+            items: { type: 'string', enum: sortable },
+            collectionFormat: 'csv',
+            description: 'Attributes to sort by, prefixed with `-` for descending order',
+        });
+    }
+
+    return {
+        parameters: parameters.concat(filters),
+        schema: {
+            type: 'object',
+            required: ['rows', 'count'],
+            properties: {
+                rows: { type: 'array', items: { '$ref': '#/definitions/' + model.name } },
+                count: { type: 'integer', description: `Total number of ${model.options.name.plural}` },
+            },
+        },
+    };
+}
+/**
+ * Generates OpenAPI 2.0 CRUD paths and tags for Sequelize models
+ * @function
+ * @param {object} models - Sequelize models
+ * @param {object} options - Configuration options
+ * @param {boolean|object} options.crud - `true` for every model, or a map of model name to
+ *                                        `true`, an array of operations or `{path, operations}`
+ * @param {boolean} [options.variants=true] - Whether bodies reference the `<Model>Create` and `<Model>Update` definitions
+ * @returns {object} OpenAPI 2.0 paths and tags
+ */
+function buildCrudFromSequelize(models, options) {
+    return Object.values(models).reduce((accumulator, model) => {
+        const conf = _crudOptions(model, options.crud);
+        if (conf) {
+            conf.variants = options.variants;
+            accumulator.paths = { ...accumulator.paths, ...constructCrudPaths(model, conf, options) };
+            accumulator.tags.push({ name: model.name, description: '' });
+        }
+        return accumulator;
+    }, { paths: {}, tags: [] });
 }
 
 module.exports = {
+	HTTP_METHODS: HTTP_METHODS,
+	COLLECTION_SEPARATORS: COLLECTION_SEPARATORS,
+	basePath: basePath,
 	addDataToSwaggerObject: addDataToSwaggerObject,
 	swaggerizeObj: swaggerizeObj,
 	findDeprecated: findDeprecated,
 	buildFromSequelize: buildFromSequelize,
+	buildCrudFromSequelize: buildCrudFromSequelize,
+	deepMerge: deepMerge,
+	pathParameterSchema: pathParameterSchema,
+	constructListPreset: constructListPreset,
 };
\ No newline at end of file
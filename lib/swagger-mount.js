@@ -0,0 +1,97 @@
+/** @module mount */
+'use strict';
+
+// Dependencies
+const swaggerUi = require('express-swaggerize-ui');
+
+/**
+ * Default routes the spec and the UI are served from.
+ * @type {object}
+ */
+const DEFAULT_ROUTE = {
+    url: '/api-docs',
+    docs: '/api-docs.json'
+};
+
+/**
+ * Normalizes the mount related configuration options.
+ * @function
+ * @param {object} options - Configuration options
+ * @returns {object} Route paths, middleware list and UI flag
+ */
+function _mountOptions(options) {
+    options = options || {};
+    let middleware = options.middleware || [];
+    if (!Array.isArray(middleware)) {
+        middleware = [middleware];
+    }
+    return {
+        route: Object.assign({}, DEFAULT_ROUTE, options.route),
+        middleware: middleware,
+        ui: options.ui !== false
+    };
+}
+
+/**
+ * Serves the spec as JSON and, unless disabled, a Swagger UI on an Express app or router.
+ * @function
+ * @param {object} app - Express application or router
+ * @param {object|function} spec - Swagger spec to serve, or a function returning the current one,
+ *                               which is answered with a 503 while it returns nothing
+ * @param {object} [options] - Configuration options
+ * @param {object} [options.route] - Paths to serve from: `{url: '/api-docs', docs: '/api-docs.json'}`
+ * @param {boolean} [options.ui=true] - Whether the Swagger UI is mounted
+ * @param {function|function[]} [options.middleware] - Middleware put in front of both routes, eg. authentication
+ * @returns {object} The given app
+ * @requires express-swaggerize-ui
+ */
+function mountSpec(app, spec, options) {
+    if (!app || typeof app.use !== 'function' || typeof app.get !== 'function') {
+        throw new Error('\'app\' must be an Express application or router.');
+    }
+    const conf = _mountOptions(options);
+
+    app.get(conf.route.docs, conf.middleware, function (req, res) {
+        const current = typeof spec === 'function' ? spec() : spec;
+        // A watched spec is missing until its first build succeeds
+        if (!current) {
+            return res.status(503).json({message: 'The spec is not generated yet'});
+        }
+        res.json(current);
+    });
+    if (conf.ui) {
+        // The UI loads its assets and the spec by absolute path, which includes the prefix
+        // the app or router is mounted under, eg. `/v1` for `app.use('/v1', router)`
+        const uis = {};
+        app.use(conf.route.url, conf.middleware, function (req, res, next) {
+            const prefix = req.baseUrl.slice(0, req.baseUrl.length - conf.route.url.length);
+            if (!uis[prefix]) {
+                uis[prefix] = swaggerUi({
+                    route: prefix + conf.route.url,
+                    docs: prefix + conf.route.docs
+                });
+            }
+            uis[prefix](req, res, next);
+        });
+    }
+    return app;
+}
+
+/**
+ * Creates an Express router serving the spec and the Swagger UI.
+ * @function
+ * @param {object|function} spec - Swagger spec to serve, or a function returning the current one
+ * @param {object} [options] - Configuration options, see `mountSpec`
+ * @returns {object} Express router
+ * @requires express
+ */
+function createRouter(spec, options) {
+    const express = require('express');
+    return mountSpec(express.Router(), spec, options);
+}
+
+module.exports = {
+    DEFAULT_ROUTE,
+    mountSpec,
+    createRouter
+};
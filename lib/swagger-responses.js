@@ -0,0 +1,170 @@
+/** @module responses */
+'use strict';
+
+/**
+ * Placeholder of the response envelope template, replaced by the documented schema.
+ * @type {string}
+ */
+const PAYLOAD = '$payload';
+
+/**
+ * Shared responses added by `standardResponses: true`, by status code.
+ * @type {object}
+ */
+const STANDARD_RESPONSES = {
+    400: {name: 'BadRequest', description: 'Bad request'},
+    401: {name: 'Unauthorized', description: 'Authentication is required'},
+    403: {name: 'Forbidden', description: 'Not allowed'},
+    404: {name: 'NotFound', description: 'Not found'},
+    500: {name: 'InternalServerError', description: 'Unexpected error'}
+};
+
+/**
+ * Definition the standard responses reference unless the spec defines an `Error` already.
+ * It matches the body `createValidator` responds with.
+ * @type {object}
+ */
+const ERROR_DEFINITION = {
+    type: 'object',
+    required: ['message'],
+    properties: {
+        message: {type: 'string'},
+        errors: {type: 'array', items: {type: 'object'}}
+    }
+};
+
+/**
+ * Checks whether a schema references a definition, directly or through array items.
+ * @function
+ * @param {object} schema - Swagger 2.0 schema
+ * @returns {boolean} Whether it references a definition
+ */
+function _referencesDefinition(schema) {
+    if (!schema || typeof schema !== 'object') {
+        return false;
+    }
+    if (typeof schema.$ref === 'string' && schema.$ref.indexOf('#/definitions/') === 0) {
+        return true;
+    }
+    return Object.keys(schema).some((key) => _referencesDefinition(schema[key]));
+}
+
+/**
+ * Copies the template with the payload placeholder replaced by a schema.
+ * @function
+ * @param {*} template - Envelope template or part of it
+ * @param {object} schema - Schema to wrap
+ * @returns {*} Envelope schema
+ */
+function _wrap(template, schema) {
+    if (template === PAYLOAD) {
+        return schema;
+    }
+    if (Array.isArray(template)) {
+        return template.map((item) => _wrap(item, schema));
+    }
+    if (!template || typeof template !== 'object') {
+        return template;
+    }
+    const wrapped = {};
+    Object.keys(template).forEach((key) => {
+        wrapped[key] = _wrap(template[key], schema);
+    });
+    return wrapped;
+}
+
+/**
+ * Iterates the operations of a Swagger 2.0 object which haven't opted out.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object
+ * @param {function} skip - Called with `(uri, method)`, truthy to leave the operation alone
+ * @param {function} callback - Called with `(operation, uri, method)`
+ */
+function _eachOperation(swaggerObject, skip, callback) {
+    Object.keys(swaggerObject.paths).forEach((uri) => {
+        Object.keys(swaggerObject.paths[uri]).forEach((method) => {
+            const operation = swaggerObject.paths[uri][method];
+            if (operation && operation.responses && !skip(uri, method)) {
+                callback(operation, uri, method);
+            }
+        });
+    });
+}
+
+/**
+ * Wraps the schema of every successful response referencing a definition in the
+ * envelope template, eg. `{type: 'object', properties: {data: '$payload', meta: {type: 'object'}}}`.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object, modified
+ * @param {object} template - Envelope schema holding the `$payload` placeholder
+ * @param {function} skip - Called with `(uri, method)`, truthy for operations which opted out
+ */
+function applyResponseEnvelope(swaggerObject, template, skip) {
+    _eachOperation(swaggerObject, skip, (operation) => {
+        Object.keys(operation.responses).forEach((code) => {
+            const response = operation.responses[code];
+            if (/^2\d\d$/.test(code) && response.schema && _referencesDefinition(response.schema)) {
+                response.schema = _wrap(template, response.schema);
+            }
+        });
+    });
+}
+
+/**
+ * Adds shared error responses to `swaggerObject.responses` and references them from every
+ * operation which doesn't document the status code itself. A response already defined under
+ * the same name, eg. `NotFound`, is used as is.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object, modified
+ * @param {boolean|number[]|object} conf - `true` for 400, 401, 403, 404 and 500, a list of those
+ *                                        status codes, or descriptions or response objects by status code
+ * @param {function} skip - Called with `(uri, method)`, truthy for operations which opted out
+ */
+function addStandardResponses(swaggerObject, conf, skip) {
+    if (conf === true) {
+        conf = Object.keys(STANDARD_RESPONSES);
+    }
+    if (Array.isArray(conf)) {
+        conf = conf.reduce((acc, code) => {
+            acc[code] = true;
+            return acc;
+        }, {});
+    }
+
+    let usesError = false;
+    const refs = {};
+    Object.keys(conf).forEach((code) => {
+        const standard = STANDARD_RESPONSES[code] || {name: 'Error' + code, description: 'Error'};
+        let response = conf[code];
+        refs[code] = {$ref: '#/responses/' + standard.name};
+        // Responses documented with `@responsedef` or in `swaggerDefinition` are kept
+        if (swaggerObject.responses[standard.name]) {
+            return;
+        }
+        if (response === true || typeof response === 'string') {
+            response = {
+                description: typeof response === 'string' ? response : standard.description,
+                schema: {$ref: '#/definitions/Error'}
+            };
+            usesError = true;
+        }
+        swaggerObject.responses[standard.name] = response;
+    });
+    if (usesError && !swaggerObject.definitions.Error) {
+        swaggerObject.definitions.Error = JSON.parse(JSON.stringify(ERROR_DEFINITION));
+    }
+
+    _eachOperation(swaggerObject, skip, (operation) => {
+        Object.keys(refs).forEach((code) => {
+            if (!operation.responses[code]) {
+                operation.responses[code] = refs[code];
+            }
+        });
+    });
+}
+
+module.exports = {
+    PAYLOAD,
+    applyResponseEnvelope,
+    addStandardResponses
+};
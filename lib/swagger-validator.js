@@ -0,0 +1,343 @@
+/** @module validator */
+'use strict';
+
+// Dependencies
+const ZSchema = require('z-schema');
+const swaggerHelpers = require('./swagger-helpers');
+
+/**
+ * Parameter keys which aren't part of the Swagger 2.0 parameter schema.
+ * @type {string[]}
+ */
+const PARAMETER_KEYS = ['name', 'in', 'required', 'description', 'collectionFormat', 'allowEmptyValue'];
+
+/**
+ * Turns OpenAPI 3.0 `nullable` and Swagger 2.0 `x-nullable` into the JSON Schema null type,
+ * and OpenAPI 3.1 numeric `exclusiveMinimum` / `exclusiveMaximum` into draft-04 bounds, which
+ * the validator understands.
+ * @function
+ * @param {*} schema - Schema or part of it
+ * @returns {*} Converted copy
+ */
+function _jsonSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(_jsonSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+    const converted = {};
+    Object.keys(schema).forEach((key) => {
+        converted[key] = _jsonSchema(schema[key]);
+    });
+    if ((converted.nullable === true || converted['x-nullable'] === true) && typeof converted.type === 'string') {
+        converted.type = [converted.type, 'null'];
+    }
+    delete converted.nullable;
+    delete converted['x-nullable'];
+    // OpenAPI 3.1 bounds are numbers, draft-04 flags the `minimum` and `maximum` instead
+    [['exclusiveMinimum', 'minimum', 1], ['exclusiveMaximum', 'maximum', -1]].forEach((bound) => {
+        const exclusive = converted[bound[0]];
+        if (typeof exclusive !== 'number') {
+            return;
+        }
+        if (converted[bound[1]] === undefined || (exclusive - converted[bound[1]]) * bound[2] >= 0) {
+            converted[bound[1]] = exclusive;
+            converted[bound[0]] = true;
+        } else {
+            delete converted[bound[0]];
+        }
+    });
+    return converted;
+}
+
+/**
+ * Converts a Swagger path to a RegExp capturing its parameters.
+ * @function
+ * @param {string} uri - Swagger path, eg. `/users/{id}`
+ * @returns {object} `{regexp, names}`
+ */
+function _pathMatcher(uri) {
+    const names = [];
+    const source = uri.replace(/\/$/, '').split(/(\{[^}]+\})/).map((part) => {
+        const param = part.match(/^\{([^}]+)\}$/);
+        if (param) {
+            names.push(param[1]);
+            return '([^/]+)';
+        }
+        return part.replace(/[.*+?^$()[\]|\\]/g, '\\$&');
+    }).join('');
+    return {regexp: new RegExp('^' + source + '/?$'), names: names};
+}
+
+/**
+ * Follows the local `$ref` of a parameter, request body or response to the shared one.
+ * @function
+ * @param {object} spec - Swagger 2.0 or OpenAPI 3 spec
+ * @param {object} obj - Object which may be a reference, eg. `{$ref: '#/parameters/Page'}`
+ * @returns {object} Referenced object, or `obj` when it isn't a resolvable reference
+ */
+function _resolve(spec, obj) {
+    const seen = [];
+    let resolved = obj;
+    while (resolved && typeof resolved.$ref === 'string' && resolved.$ref.indexOf('#/') === 0 &&
+        seen.indexOf(resolved.$ref) === -1) {
+        seen.push(resolved.$ref);
+        resolved = resolved.$ref.slice(2).split('/').reduce((acc, key) => acc && acc[key], spec);
+    }
+    return resolved || obj;
+}
+
+/**
+ * Collects the operations of a spec with what's needed to validate them.
+ * @function
+ * @param {object} spec - Swagger 2.0 or OpenAPI 3 spec
+ * @returns {object[]} Operations as `{method, matcher, parameters, body, responses}`
+ */
+function compileOperations(spec) {
+    const openapi = !!spec.openapi;
+    const base = swaggerHelpers.basePath(spec);
+
+    const operations = [];
+    Object.keys(spec.paths || {}).forEach((uri) => {
+        const pathItem = spec.paths[uri];
+        Object.keys(pathItem).filter((method) => swaggerHelpers.HTTP_METHODS.indexOf(method) > -1).forEach((method) => {
+            const operation = pathItem[method];
+            const parameters = [];
+            let body;
+
+            (pathItem.parameters || []).concat(operation.parameters || []).forEach((param) => {
+                param = _resolve(spec, param);
+                if (param.in === 'body') {
+                    body = {required: !!param.required, schema: param.schema};
+                } else {
+                    parameters.push(param);
+                }
+            });
+            const requestBody = _resolve(spec, operation.requestBody);
+            if (requestBody && requestBody.content) {
+                // Multipart bodies are left to the upload middleware
+                const media = requestBody.content['application/json'] ||
+                    requestBody.content['application/x-www-form-urlencoded'];
+                if (media && media.schema) {
+                    body = {required: !!requestBody.required, schema: media.schema};
+                }
+            }
+
+            const responses = {};
+            Object.keys(operation.responses || {}).forEach((status) => {
+                const response = _resolve(spec, operation.responses[status]);
+                const media = openapi && response.content && response.content['application/json'];
+                const schema = openapi ? media && media.schema : response.schema;
+                if (schema) {
+                    responses[status] = schema;
+                }
+            });
+
+            operations.push({
+                method: method,
+                path: uri,
+                matcher: _pathMatcher(base + uri),
+                parameters: parameters,
+                body: body,
+                responses: responses
+            });
+        });
+    });
+    // Literal paths win over templated ones, eg. `/users/me` over `/users/{id}`
+    return operations.sort((a, b) => a.matcher.names.length - b.matcher.names.length);
+}
+
+/**
+ * Converts a raw query, path or header value to the type the parameter documents.
+ * Values which don't convert are kept, so the validation reports them.
+ * @function
+ * @param {*} value - Raw value
+ * @param {object} schema - Parameter schema
+ * @param {string} [collectionFormat] - Swagger 2.0 array format
+ * @returns {*} Converted value
+ */
+function _coerce(value, schema, collectionFormat) {
+    if (value === undefined || !schema) {
+        return value;
+    }
+    if (schema.type === 'array') {
+        if (!Array.isArray(value)) {
+            const separator = swaggerHelpers.COLLECTION_SEPARATORS[collectionFormat || 'csv'] || ',';
+            value = String(value).split(separator);
+        }
+        return value.map((item) => _coerce(item, schema.items || {}));
+    }
+    if (typeof value !== 'string') {
+        return value;
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+}
+
+/**
+ * Creates an Express middleware validating requests against the operation of the spec they
+ * match: path, query, header and form parameters, and the body. Invalid requests get a 400
+ * with `{message, errors}`, every error being `{in, name, message, path}`. Requests without
+ * a documented operation are passed on untouched. Query values are converted to their
+ * documented types on `req.query` before the handler runs.
+ *
+ * Outgoing JSON can be validated against the documented response schema too, outside of
+ * production. The response is still sent, the errors are logged or passed to
+ * `onResponseError`.
+ * @function
+ * @param {object|function} spec - Generated Swagger 2.0 or OpenAPI 3 spec, or a function returning the current one
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.validateResponses=false] - Validate `res.json` bodies, never when `NODE_ENV` is production
+ * @param {function} [options.onResponseError] - Called with `(errors, req, res)` for an invalid response
+ * @returns {function} Express middleware
+ * @requires z-schema
+ */
+function createValidator(spec, options) {
+    options = options || {};
+    const validator = new ZSchema({breakOnFirstError: false, ignoreUnknownFormats: true});
+    const validateResponses = !!options.validateResponses && process.env.NODE_ENV !== 'production';
+    let compiled;
+    let compiledFor;
+
+    function current() {
+        const source = typeof spec === 'function' ? spec() : spec;
+        if (source !== compiledFor) {
+            compiledFor = source;
+            compiled = source ? {
+                operations: compileOperations(source),
+                definitions: _jsonSchema(source.definitions),
+                components: _jsonSchema(source.components)
+            } : undefined;
+        }
+        return compiled;
+    }
+
+    function validate(value, schema, context) {
+        // The definitions go along, so `$ref`s into them resolve
+        const root = Object.assign({}, _jsonSchema(schema));
+        if (context.definitions) {
+            root.definitions = context.definitions;
+        }
+        if (context.components) {
+            root.components = context.components;
+        }
+        if (validator.validate(value, root)) {
+            return [];
+        }
+        return validator.getLastErrors().map((error) => ({
+            message: error.message,
+            path: error.path
+        }));
+    }
+
+    function find(context, method, uri) {
+        for (let i = 0; i < context.operations.length; i = i + 1) {
+            const operation = context.operations[i];
+            const match = operation.method === method && uri.match(operation.matcher.regexp);
+            if (match) {
+                const params = {};
+                operation.matcher.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return {operation: operation, params: params};
+            }
+        }
+        return undefined;
+    }
+
+    function checkResponse(context, operation, req, res) {
+        const json = res.json;
+        res.json = function (body) {
+            const schema = operation.responses[res.statusCode] || operation.responses.default;
+            if (schema && body !== undefined) {
+                const errors = validate(JSON.parse(JSON.stringify(body)), schema, context)
+                    .map((error) => Object.assign({in: 'response', name: String(res.statusCode)}, error));
+                if (errors.length && typeof options.onResponseError === 'function') {
+                    options.onResponseError(errors, req, res);
+                } else if (errors.length) {
+                    console.error('\x1b[31m%s\x1b[0m', `Response to ${req.method} ${req.originalUrl} doesn't match the spec:`, errors);
+                }
+            }
+            return json.apply(this, arguments);
+        };
+    }
+
+    return function swaggerValidator(req, res, next) {
+        const context = current();
+        const found = context && find(context, req.method.toLowerCase(), (req.baseUrl || '') + req.path);
+        if (!found) {
+            return next();
+        }
+        const operation = found.operation;
+        const errors = [];
+        const sources = {
+            path: found.params,
+            query: req.query || {},
+            header: req.headers,
+            formData: req.body || {}
+        };
+
+        operation.parameters.forEach((param) => {
+            const source = sources[param.in];
+            if (!source) {
+                return;
+            }
+            const key = param.in === 'header' ? param.name.toLowerCase() : param.name;
+            const schema = param.schema || PARAMETER_KEYS.reduce((acc, name) => {
+                delete acc[name];
+                return acc;
+            }, Object.assign({}, param));
+
+            if (source[key] === undefined || source[key] === '') {
+                if (param.required || param.in === 'path') {
+                    errors.push({in: param.in, name: param.name, message: 'Missing required parameter', path: '#/'});
+                }
+                return;
+            }
+            // Uploaded files are handled by the upload middleware, not the body
+            if (schema.type === 'file' || schema.format === 'binary') {
+                return;
+            }
+            const value = _coerce(source[key], schema, param.collectionFormat);
+            validate(value, schema, context).forEach((error) => {
+                errors.push(Object.assign({in: param.in, name: param.name}, error));
+            });
+            if (param.in === 'query') {
+                source[key] = value;
+            }
+        });
+
+        if (operation.body) {
+            const empty = req.body === undefined || (typeof req.body === 'object' && !Object.keys(req.body).length);
+            if (empty && operation.body.required) {
+                errors.push({in: 'body', name: 'body', message: 'Missing required request body', path: '#/'});
+            } else if (!empty && operation.body.schema) {
+                validate(req.body, operation.body.schema, context).forEach((error) => {
+                    errors.push(Object.assign({in: 'body', name: 'body'}, error));
+                });
+            }
+        }
+
+        if (errors.length) {
+            return res.status(400).json({
+                message: 'Request validation failed',
+                errors: errors
+            });
+        }
+        if (validateResponses) {
+            checkResponse(context, operation, req, res);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createValidator,
+    compileOperations
+};
@@ -0,0 +1,142 @@
+/** @module watch */
+'use strict';
+
+// Dependencies
+const fs = require('fs');
+const EventEmitter = require('events');
+const swagger = require('./swagger');
+const swaggerMount = require('./swagger-mount');
+
+/**
+ * Reads the modification time of every watched file.
+ * @function
+ * @param {string[]} files - File paths
+ * @returns {object} Modification times by file path
+ */
+function _snapshot(files) {
+    let mtimes = {};
+    for (let i = 0; i < files.length; i = i + 1) {
+        try {
+            mtimes[files[i]] = fs.statSync(files[i]).mtimeMs;
+        } catch (e) {
+            // Removed between globbing and reading, picked up by the next poll
+        }
+    }
+    return mtimes;
+}
+
+/**
+ * Watches the documented files, and optionally the model files, and regenerates the
+ * spec when they change. Only changed files are parsed again, the others come from a
+ * per-file cache, and the spec is built from scratch so removed paths, tags and
+ * typedefs disappear. Files are polled, which also picks up new files matching the globs.
+ *
+ * The returned watcher emits `update` with every validated spec and `error` when a
+ * build fails, in which case the previous spec is kept. When an Express app is given
+ * the spec is mounted on it and hot-swapped on every update.
+ * @function
+ * @param {object|function} models - Sequelize models, or a function returning them which is
+ *                                   called again when a file from `options.watch` changed
+ * @param {object} options - Configuration options, see `generateSpec`
+ * @param {string[]} [options.watch] - Globs of extra files which trigger a rebuild, eg. models
+ * @param {number} [options.watchInterval=1000] - Poll interval in milliseconds
+ * @param {object} [app] - Express application or router to mount the spec on
+ * @returns {EventEmitter} Watcher with the current `spec`, `ready` promise and `close()`,
+ *                         emitting `close` once closed
+ */
+function watchSpec(models, options, app) {
+    const watcher = new EventEmitter();
+    const cache = new Map();
+    const resolveModels = typeof models === 'function' ? models : () => models;
+    let currentModels = resolveModels();
+    let mtimes = {};
+    let apiFiles = [];
+    let timer;
+    let pending = Promise.resolve();
+
+    function files() {
+        return {
+            api: swagger.convertGlobPaths(options.basedir, options.files),
+            extra: swagger.convertGlobPaths(options.basedir, options.watch || [])
+        };
+    }
+
+    function build() {
+        return Promise.resolve().then(() => {
+            return swagger.validateSpec(swagger.buildSpec(currentModels, options, cache), options);
+        }).then((spec) => {
+            watcher.spec = spec;
+            watcher.emit('update', spec);
+            return spec;
+        });
+    }
+
+    function report(error) {
+        if (watcher.listenerCount('error')) {
+            watcher.emit('error', error);
+        } else {
+            console.error(error);
+        }
+    }
+
+    function rebuild(reloadModels) {
+        pending = pending.then(() => {
+            if (reloadModels) {
+                currentModels = resolveModels();
+            }
+            return build();
+        }).catch(report);
+        return pending;
+    }
+
+    function poll() {
+        const watched = files();
+        const next = _snapshot(watched.api.concat(watched.extra));
+        let changed = false;
+        let reloadModels = false;
+
+        Object.keys(mtimes).concat(Object.keys(next)).forEach((file) => {
+            if (mtimes[file] === next[file]) {
+                return;
+            }
+            changed = true;
+            cache.delete(file);
+            if (watched.api.indexOf(file) === -1 && apiFiles.indexOf(file) === -1) {
+                reloadModels = true;
+            }
+        });
+        mtimes = next;
+        apiFiles = watched.api;
+        if (changed) {
+            rebuild(reloadModels);
+        }
+    }
+
+    const watched = files();
+    mtimes = _snapshot(watched.api.concat(watched.extra));
+    apiFiles = watched.api;
+    watcher.ready = build();
+    // The first build failing is reported through the promise and the `error` event
+    watcher.ready.catch((error) => {
+        if (watcher.listenerCount('error')) {
+            watcher.emit('error', error);
+        }
+    });
+    pending = watcher.ready.catch(() => undefined);
+    timer = setInterval(poll, options.watchInterval || 1000);
+
+    if (app) {
+        swaggerMount.mountSpec(app, () => watcher.spec, options);
+    }
+
+    watcher.rebuild = () => rebuild(true);
+    watcher.close = () => {
+        clearInterval(timer);
+        watcher.emit('close');
+    };
+    return watcher;
+}
+
+module.exports = {
+    watchSpec
+};
@@ -9,11 +9,104 @@ const fs = require('fs');
 const glob = require('glob');
 const path = require('path');
 const parser = require('swagger-parser');
+const yaml = require('js-yaml');
 const swaggerHelpers = require('./swagger-helpers');
-const doctrineFile = require('doctrine-file');
+const swaggerMount = require('./swagger-mount');
+const routeCheck = require('./route-check');
+const swaggerResponses = require('./swagger-responses');
+const openapiConverter = require('./openapi-converter');
+const diagnosticsFactory = require('./diagnostics');
+const commentExtractor = require('./comment-extractor');
 
 /**
- * Parses the provided API file for JSDoc comments.
+ * Types written as is in a schema, other names are references to definitions.
+ * @type {string[]}
+ */
+const PRIMITIVE_TYPES = ['object', 'string', 'integer', 'number', 'boolean'];
+
+/**
+ * Modifiers which can follow the name of a `@property`, eg. `name.required`.
+ * @type {string[]}
+ */
+const PROPERTY_MODIFIERS = ['required', 'readOnly'];
+
+/**
+ * Locations a `@param` can be in.
+ * @type {string[]}
+ */
+const PARAMETER_LOCATIONS = ['query', 'header', 'path', 'formData', 'body'];
+
+/**
+ * Options which can follow the description of a `@param`, eg. `- default: 20 - max: 100`,
+ * by the parameter key they set.
+ * @type {object}
+ */
+const PARAMETER_OPTIONS = {
+    eg: 'x-example',
+    default: 'default',
+    min: 'minimum',
+    minimum: 'minimum',
+    max: 'maximum',
+    maximum: 'maximum',
+    minLength: 'minLength',
+    maxLength: 'maxLength',
+    minItems: 'minItems',
+    maxItems: 'maxItems',
+    pattern: 'pattern',
+    format: 'format',
+    collectionFormat: 'collectionFormat'
+};
+
+/**
+ * Separator in front of a parameter option, eg. ` - default: `, capturing the key.
+ * @type {RegExp}
+ */
+const PARAMETER_OPTION_SEPARATOR = new RegExp(`\\s+-\\s*(${Object.keys(PARAMETER_OPTIONS).join('|')})\\s*:\\s*`);
+
+/**
+ * Parameter options holding numbers.
+ * @type {string[]}
+ */
+const NUMERIC_OPTIONS = ['minimum', 'maximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+
+/**
+ * Types standing for a primitive type with a format, eg. `{date-time}`.
+ * @type {object}
+ */
+const FORMAT_TYPES = {
+    'date': {type: 'string', format: 'date'},
+    'date-time': {type: 'string', format: 'date-time'},
+    'datetime': {type: 'string', format: 'date-time'},
+    'Date': {type: 'string', format: 'date-time'},
+    'float': {type: 'number', format: 'float'},
+    'double': {type: 'number', format: 'double'},
+    'long': {type: 'integer', format: 'int64'}
+};
+
+/**
+ * Tags starting a comment which registers a reusable component, by the section it goes in.
+ * @type {object}
+ */
+const COMPONENT_TAGS = {parameterdef: 'parameters', responsedef: 'responses'};
+
+/**
+ * What references to each section point at, for diagnostics.
+ * @type {object}
+ */
+const REFERENCE_TARGETS = {definitions: 'typedef or model', parameters: 'parameterdef', responses: 'responsedef'};
+
+/**
+ * Names components can have, the OpenAPI 3 component name pattern.
+ * @type {RegExp}
+ */
+const COMPONENT_NAME = /^[A-Za-z0-9._-]+$/;
+
+
+/**
+ * Parses the provided API file for JSDoc comments. JavaScript and TypeScript
+ * sources are supported, eg. `.js`, `.cjs`, `.mjs`, `.ts` and `.mts` files.
+ * Every comment gets the `lineNumber` it starts at in the file, and its tags
+ * the `lineNumber` relative to the comment.
  * @function
  * @param {string} file - File to be parsed
  * @returns {object} JSDoc comments
@@ -21,9 +114,7 @@ const doctrineFile = require('doctrine-file');
  */
 function parseApiFile(file) {
     const content = fs.readFileSync(file, 'utf-8');
-
-    let comments = doctrineFile.parseFileContent(content, {unwrap: true, sloppy: true, tags: null, recoverable: true});
-    return comments;
+    return commentExtractor.extractComments(content);
 }
 
 function parseRoute(str) {
@@ -31,10 +122,72 @@ function parseRoute(str) {
 
     return {
         method: split[0].toLowerCase() || 'get',
-        uri: split[1] || ''
+        uri: routeCheck.convertExpressPath(split[1] || '')
     }
 }
 
+/**
+ * Expands a `@paginated Model` or `@listOf Model` tag into the list query parameters and
+ * the `{rows, count}` 200 response, see `constructListPreset`. Parameters documented
+ * with `@param` are kept over the generated ones.
+ * @function
+ * @param {object[]} tags - Tags of the comment
+ * @param {object} operation - Operation, modified
+ * @param {object} [models] - Sequelize models
+ * @param {object} [options] - Configuration options
+ * @param {object} [diagnostics] - Diagnostics receiving unknown models
+ */
+function applyListPreset(tags, operation, models, options, diagnostics) {
+    const tag = (tags || []).find((item) => item.title === 'paginated' || item.title === 'listOf');
+    if (!tag) {
+        return;
+    }
+    const name = (tag.description || '').split(/\s+/)[0];
+    const model = models && (models[name] || Object.keys(models).map((key) => models[key]).find((item) => item && item.name === name));
+    if (!model || !model.rawAttributes) {
+        if (diagnostics) {
+            diagnostics.error({message: `Unknown model '${name}'.`, tag: tag.title, lineNumber: tag.lineNumber});
+        }
+        return;
+    }
+    const preset = swaggerHelpers.constructListPreset(model, options);
+    preset.parameters.forEach((param) => {
+        if (!operation.parameters.some((item) => item.name === param.name && item.in === param.in)) {
+            operation.parameters.push(param);
+        }
+    });
+    const response = operation.responses['200'] || {};
+    operation.responses['200'] = Object.assign({}, response, {
+        description: response.description || `A page of ${model.options.name.plural}`,
+        schema: preset.schema
+    });
+}
+
+/**
+ * Declares the parameters of the path which aren't documented with `@param` as required
+ * strings, or with the type of the primary key of the model they refer to. Documented path
+ * parameters are made required, as Swagger demands.
+ * @function
+ * @param {string} uri - Swagger path
+ * @param {object[]} params - Parameters of the operation, modified
+ * @param {object} [models] - Sequelize models
+ * @param {object} [options] - Generator options
+ */
+function inferPathParameters(uri, params, models, options) {
+    const names = (uri.match(/\{[^}]+\}/g) || []).map((segment) => segment.slice(1, -1));
+    let inferred = [];
+    for (let i = 0; i < names.length; i = i + 1) {
+        const declared = params.find((param) => param.in === 'path' && param.name === names[i]);
+        if (declared) {
+            declared.required = true;
+            continue;
+        }
+        const schema = swaggerHelpers.pathParameterSchema(models, uri, names[i], options) || {type: 'string'};
+        inferred.push(Object.assign({name: names[i], in: 'path', required: true}, schema));
+    }
+    params.unshift.apply(params, inferred);
+}
+
 function parseField(str) {
     let split = str.split(".")
     return {
@@ -60,6 +213,8 @@ function parseType(obj) {
 }
 
 function parseSchema(obj) {
+    if (!obj) return undefined;
+    if (obj.type === 'UnionType') return parseUnion(obj);
     if (!(obj.name || obj.applications)) return undefined;
 
     if (obj.name) {
@@ -70,56 +225,59 @@ function parseSchema(obj) {
         else return undefined;
     }
     if (obj.applications) {
-
-        if (obj.applications.length === 1) {
-            const type = obj.applications[0].name;
-            if (type == 'object' || type == 'string' || type == 'integer' || type == 'boolean') {
-                return {
-                    type: obj.expression.name.toLowerCase(),
-                    items: {
-                        "type": type
-                    }
-                }
-            } else {
-                return {
-                    type: obj.expression.name.toLowerCase(),
-                    items: {
-                        "$ref": "#/definitions/" + obj.applications[0].name
-                    }
-                }
-            }
-        }
-        let oneOf = []
-        for (let i in obj.applications) {
-            const type = obj.applications[i].name;
-            if (type == 'object' || type == 'string' || type == 'integer' || type == 'boolean') {
-                oneOf.push({
-                    "type": type
-                })
-            } else {
-                oneOf.push({
-                    "$ref": "#/definitions/" + obj.applications[i].name
-                })
-            }
-            return {
-                type: obj.expression.name.toLowerCase(),
-                items: {
-                    oneOf: oneOf
-                }
-            }
+        // Several applications, `Array.<A, B>`, are items of either type like `Array.<A|B>`
+        const items = obj.applications.length === 1 ? parseTypeSchema(obj.applications[0]) : {
+            oneOf: obj.applications.map(parseTypeSchema)
+        };
+        return {
+            type: obj.expression.name.toLowerCase(),
+            items: items
         }
     }
 
     return undefined
 }
 
+/**
+ * Converts a type expression used inside an array or union to a schema:
+ * primitives to their type, other names to a reference, `.model` suffix or not.
+ * @function
+ * @param {object} obj - Doctrine type expression
+ * @returns {object} Swagger schema
+ */
+function parseTypeSchema(obj) {
+    if (obj.type === 'UnionType') {
+        return parseUnion(obj);
+    }
+    if (obj.type === 'TypeApplication') {
+        return parseSchema(obj);
+    }
+    if (!obj.name) {
+        return {type: 'object'};
+    }
+    const type = obj.name.replace(/\.model$/, '');
+    if (PRIMITIVE_TYPES.indexOf(type) > -1) {
+        return {type: type};
+    }
+    if (FORMAT_TYPES[type]) {
+        return Object.assign({}, FORMAT_TYPES[type]);
+    }
+    return {"$ref": "#/definitions/" + type};
+}
+
+/**
+ * Converts a union type, `{A.model|B.model}` or `{string|integer}`, to a `oneOf`.
+ * @function
+ * @param {object} obj - Doctrine union type
+ * @returns {object} Swagger schema
+ */
+function parseUnion(obj) {
+    return {oneOf: obj.elements.map(parseTypeSchema)};
+}
+
 function parseItems(obj) {
     if (obj.applications && obj.applications.length > 0 && obj.applications[0].name) {
-        const type = obj.applications[0].name;
-        if (type == 'object' || type == 'string' || type == 'integer' || type == 'boolean') {
-            return {"type": type}
-        }
-        else return {"$ref": "#/definitions/" + type};
+        return parseTypeSchema(obj.applications[0]);
     }
     else return undefined;
 }
@@ -176,27 +334,40 @@ function parseTypedef(tags) {
         required: [],
         properties: {}
     };
-    if (tags[0].type && tags[0].type.name) {
-        details.allOf = [{"$ref": '#/definitions/' + tags[0].type.name}]
+    const parents = parseParents(tags);
+    if (parents.allOf.length) {
+        details.allOf = parents.allOf;
+    }
+    if (parents.oneOf) {
+        details.oneOf = parents.oneOf;
     }
     for (let i = 1; i < tags.length; i++) {
+        if (tags[i].title == 'discriminator') {
+            details.discriminator = (tags[i].description || '').trim();
+        }
         if (tags[i].title == 'property') {
-            let propName = tags[i].name;
-            let propNameArr = propName.split(".");
+            let propNameArr = tags[i].name.split(".");
 
-            let props = propNameArr.slice(1, propNameArr.length)
+            // Trailing modifiers, the segments before them are the path of a nested property
+            let props = []
+            while (propNameArr.length > 1 && PROPERTY_MODIFIERS.indexOf(propNameArr[propNameArr.length - 1]) > -1) {
+                props.unshift(propNameArr.pop())
+            }
             let required = props.indexOf('required') > -1
             let readOnly = props.indexOf('readOnly') > -1
 
+            const parent = propertyContainer(details, propNameArr.slice(0, -1));
+            const propName = propNameArr[propNameArr.length - 1].replace(/\[\]$/, '');
             if (required) {
-                if (details.required == null) details.required = [];
-                propName = propName.split('.')[0];
-                details.required.push(propName);
+                if (parent.required == null) parent.required = [];
+                parent.required.push(propName);
             }
+            // Children documented before their parent
+            const documented = parent.properties[propName];
             var schema = parseSchema(tags[i].type);
 
             if (schema) {
-                details.properties[propName] = schema;
+                parent.properties[propName] = schema;
             } else {
                 const type = parseType(tags[i].type);
                 const parsedDescription = (tags[i].description || '').split(/-\s*eg:\s*/);
@@ -208,10 +379,13 @@ function parseTypedef(tags) {
                     description: description,
                     items: parseItems(tags[i].type),
                 };
+                if (FORMAT_TYPES[type]) {
+                    Object.assign(prop, FORMAT_TYPES[type]);
+                }
                 if(readOnly) {
                     prop.readOnly = true
                 }
-                details.properties[propName] = prop
+                parent.properties[propName] = prop
 
                 if(prop.type == 'enum') {
                     let parsedEnum = parseEnums('-eg:' + example)
@@ -222,24 +396,104 @@ function parseTypedef(tags) {
                 if (example) {
                     switch (type) {
                         case 'boolean':
-                            details.properties[propName].example = example === 'true';
+                            parent.properties[propName].example = example === 'true';
                             break;
                         case 'integer':
-                            details.properties[propName].example = +example;
+                            parent.properties[propName].example = +example;
                             break;
                         case 'enum':
                             break;
                         default:
-                            details.properties[propName].example = example;
+                            parent.properties[propName].example = example;
                             break;
                     }
                 }
             }
+            if (documented) {
+                const container = parent.properties[propName].type === 'array' ? parent.properties[propName].items : parent.properties[propName];
+                if (container && !container.$ref) {
+                    container.properties = documented.properties;
+                    container.required = documented.required;
+                }
+            }
         }
     }
+    // Swagger requires the discriminator to be a required property
+    if (details.discriminator && details.required.indexOf(details.discriminator) === -1) {
+        details.required.push(details.discriminator);
+    }
+    if (!details.required.length) {
+        delete details.required;
+    }
+    if (details.oneOf && !Object.keys(details.properties).length) {
+        delete details.properties;
+    }
     return {typeName, details};
 }
 
+/**
+ * Returns the schema the children of a dotted `@property` path go in, creating the
+ * inline objects on the way. Array properties, and segments written `items[]`, lead
+ * into their items.
+ * @function
+ * @param {object} details - Typedef schema, modified
+ * @param {string[]} path - Property names leading to the container
+ * @returns {object} Schema with `properties`
+ */
+function propertyContainer(details, path) {
+    let current = details;
+    for (let i = 0; i < path.length; i++) {
+        const name = path[i].replace(/\[\]$/, '');
+        let child = current.properties[name];
+        if (!child) {
+            child = current.properties[name] = path[i].slice(-2) === '[]' ? {type: 'array'} : {type: 'object'};
+        }
+        if (child.type === 'array') {
+            if (!child.items || child.items.$ref) {
+                child.items = {type: 'object'};
+            }
+            child = child.items;
+        }
+        child.properties = child.properties || {};
+        current = child;
+    }
+    return current;
+}
+
+/**
+ * Collects what a typedef is composed of: the parent in `@typedef {Parent} Child`, which
+ * can be a model (`{User.model}`), and every `@extends` / `@augments` tag go in `allOf`,
+ * a union `@typedef {(Cat|Dog)} Pet` becomes a `oneOf`.
+ * @function
+ * @param {object[]} tags - Tags of the typedef comment
+ * @returns {object} `{allOf, oneOf}` schemas
+ */
+function parseParents(tags) {
+    let allOf = [], oneOf;
+    // `@typedef {object} Name` has no parent
+    const addParent = (type) => {
+        const parent = parseTypeSchema(type);
+        if (parent.$ref) {
+            allOf.push(parent);
+        }
+    };
+    const type = tags[0].type;
+    if (type && type.type === 'UnionType') {
+        oneOf = parseUnion(type).oneOf;
+    } else if (type && type.name) {
+        addParent(type);
+    }
+    for (let i = 1; i < tags.length; i++) {
+        if (tags[i].title == 'extends' || tags[i].title == 'augments') {
+            const parent = tags[i].type || (tags[i].name ? {type: 'NameExpression', name: tags[i].name} : undefined);
+            if (parent) {
+                addParent(parent);
+            }
+        }
+    }
+    return {allOf, oneOf};
+}
+
 function parseSecurity(comments) {
     let security;
     try {
@@ -290,6 +544,223 @@ function parseHeaders(comments) {
     return headers
 }
 
+/**
+ * Splits the options off the description of a `@param`. Options are written as
+ * ` - key: value` after the description, other text like `e-mail: exact` stays in it.
+ * @function
+ * @param {string} description - Tag description, eg. `Page size - default: 20 - max: 100`
+ * @returns {object} `{description, options}`, options by parameter key
+ */
+function parseParameterOptions(description) {
+    const parts = ('' + (description || '')).split(PARAMETER_OPTION_SEPARATOR);
+    const options = {};
+    for (let i = 1; i < parts.length; i = i + 2) {
+        options[PARAMETER_OPTIONS[parts[i]]] = parts[i + 1].trim();
+    }
+    return {description: parts[0], options: options};
+}
+
+/**
+ * Converts an option value to the type of the parameter. Array values are split
+ * on the separator of their `collectionFormat`.
+ * @function
+ * @param {string} value - Option value
+ * @param {object} param - Swagger 2.0 parameter with its `type` and `items`
+ * @returns {*} Converted value, undefined when it doesn't match the type
+ */
+function castParameterValue(value, param) {
+    if (param.type === 'array') {
+        const items = value.split(swaggerHelpers.COLLECTION_SEPARATORS[param.collectionFormat] || ',').map((item) => {
+            return castParameterValue(item.trim(), param.items);
+        });
+        return items.indexOf(undefined) > -1 ? undefined : items;
+    }
+    if (param.type === 'integer' || param.type === 'number') {
+        const number = Number(value);
+        if (value === '' || isNaN(number) || (param.type === 'integer' && number % 1 !== 0)) {
+            return undefined;
+        }
+        return number;
+    }
+    if (param.type === 'boolean') {
+        return value === 'true' || value === 'false' ? value === 'true' : undefined;
+    }
+    return value;
+}
+
+/**
+ * Builds a Swagger 2.0 parameter from a `@param` tag. Parameters other than `body` get
+ * their type inline: arrays of primitives with their `items` and `collectionFormat`,
+ * `{file}` for `formData` uploads, and formats for `{date}`, `{date-time}`, `{float}`,
+ * `{double}` and `{long}`. The options after the description set `default`, `minimum`,
+ * `maximum`, `format`, ...; `eg` lists the values of an `{enum}` and is the `x-example`
+ * of other types.
+ * @function
+ * @param {object} tag - Parsed `@param` tag
+ * @param {object} field - Name and location from `parseField`
+ * @param {object} [diagnostics] - Receives unknown locations and the options which don't fit the parameter
+ * @returns {object|undefined} Swagger 2.0 parameter, undefined when it can't be built
+ */
+function parseParameter(tag, field, diagnostics) {
+    const parsed = parseParameterOptions(tag.description);
+    const options = parsed.options;
+    const error = (message) => {
+        if (diagnostics) {
+            diagnostics.error({message: message, tag: tag.title, lineNumber: tag.lineNumber});
+        }
+    };
+    if (PARAMETER_LOCATIONS.indexOf(field.parameter_type) === -1) {
+        error(`Unknown location '${field.parameter_type}' of parameter '${field.name}', expected one of: ${PARAMETER_LOCATIONS.join(', ')}.`);
+        return undefined;
+    }
+    let param = {
+        name: field.name,
+        in: field.parameter_type,
+        description: parsed.description,
+        required: field.required
+    };
+    const schema = parseSchema(tag.type);
+
+    if (field.parameter_type === 'body' || (schema && schema.type !== 'array')) {
+        // we only want a type if there is no referenced schema
+        if (schema) {
+            param.schema = schema;
+        } else {
+            param.type = parseType(tag.type);
+        }
+        return param;
+    }
+
+    if (schema) {
+        const items = schema.items.$ref || schema.items.oneOf ? {type: 'string'} : schema.items;
+        if (items !== schema.items) {
+            error(`Items of parameter '${field.name}' in ${field.parameter_type} must be a primitive type.`);
+        }
+        param.type = 'array';
+        param.items = items;
+        param.collectionFormat = options.collectionFormat || 'csv';
+        if (!swaggerHelpers.COLLECTION_SEPARATORS[param.collectionFormat] ||
+            (param.collectionFormat === 'multi' && ['query', 'formData'].indexOf(param.in) === -1)) {
+            error(`Unknown collection format '${param.collectionFormat}' of parameter '${field.name}' in ${param.in}.`);
+            param.collectionFormat = 'csv';
+        }
+    } else {
+        const type = parseType(tag.type);
+        Object.assign(param, FORMAT_TYPES[type] || {type: type});
+        if (param.type === 'enum') {
+            const parsedEnum = parseEnums('-eg:' + (options['x-example'] || ''));
+            param.type = parsedEnum.type || 'string';
+            param.enum = parsedEnum.enums;
+            delete options['x-example'];
+        }
+        if (param.type === 'file' && param.in !== 'formData') {
+            error(`File parameter '${field.name}' must be in formData.`);
+            return undefined;
+        }
+    }
+
+    Object.keys(options).forEach((key) => {
+        let value = options[key];
+        if (key === 'collectionFormat') {
+            return;
+        }
+        if (NUMERIC_OPTIONS.indexOf(key) > -1) {
+            value = castParameterValue(value, {type: 'number'});
+        } else if (key === 'default' || key === 'x-example') {
+            value = castParameterValue(value, param);
+        }
+        if (value === undefined) {
+            error(`Invalid ${key} '${options[key]}' of parameter '${field.name}'.`);
+        } else {
+            param[key] = value;
+        }
+    });
+    return param;
+}
+
+/**
+ * Splits a tag description into the names it lists, eg. `Page Limit` or `Page, Limit`.
+ * @function
+ * @param {string} str - Tag description
+ * @returns {string[]} Names
+ */
+function parseNames(str) {
+    return ('' + (str || '')).split(/[\s,]+/).filter((name) => name);
+}
+
+/**
+ * Builds the reference a `@param #/parameters/Name` tag makes.
+ * @function
+ * @param {object} tag - Parsed `@param` tag
+ * @param {object} [diagnostics] - Receives malformed references
+ * @returns {object|undefined} Swagger 2.0 reference object, undefined when malformed
+ */
+function parseParameterRef(tag, diagnostics) {
+    const match = /^#\/parameters\/(.+)$/.exec(tag.name);
+    if (!match || !COMPONENT_NAME.test(match[1])) {
+        if (diagnostics) {
+            diagnostics.error({
+                message: `Expected a reference like '#/parameters/Name', got '${tag.name}'.`,
+                tag: tag.title,
+                lineNumber: tag.lineNumber
+            });
+        }
+        return undefined;
+    }
+    return {$ref: tag.name};
+}
+
+/**
+ * Parses a `@parameterdef` or `@responsedef` comment. A parameter is described by the one
+ * `@param` of the comment and named after it unless `@parameterdef` names it. A response is
+ * written `@responsedef NotFound - Description`, with an optional `@returns {Type}` for its schema.
+ * @function
+ * @param {object[]} tags - Tags of the comment, starting with `@parameterdef` or `@responsedef`
+ * @param {object} [diagnostics] - Receives the malformed comments
+ * @returns {object|undefined} `{section, name, value}`, undefined when malformed
+ */
+function parseComponentDef(tags, diagnostics) {
+    const def = tags[0];
+    const error = (message) => {
+        if (diagnostics) {
+            diagnostics.error({message: message, tag: def.title, lineNumber: def.lineNumber});
+        }
+    };
+    const section = COMPONENT_TAGS[def.title];
+    const description = (def.description || '').split(/\s+-\s+/);
+    let name = description[0].trim();
+    let value;
+
+    if (section === 'parameters') {
+        const params = tags.filter((tag) => tag.title === 'param');
+        if (params.length !== 1) {
+            error('Needs exactly one @param describing the parameter.');
+            return undefined;
+        }
+        value = parseParameter(params[0], parseField(params[0].name || ''), diagnostics);
+        if (!value) {
+            return undefined;
+        }
+        name = name || value.name;
+    } else {
+        const returns = tags.filter((tag) => tag.title === 'returns' || tag.title === 'return');
+        if (returns.length > 1) {
+            error('Needs at most one @returns giving the schema of the response.');
+            return undefined;
+        }
+        value = {description: description.slice(1).join(' - ').trim()};
+        const schema = returns.length ? parseSchema(returns[0].type) : undefined;
+        if (schema) {
+            value.schema = schema;
+        }
+    }
+    if (!COMPONENT_NAME.test(name)) {
+        error(`Invalid name '${name}', expected letters, digits, '.', '-' or '_'.`);
+        return undefined;
+    }
+    return {section: section, name: name, value: value};
+}
+
 function parseEnums(description) {
     let enums = ('' + description).split(/-\s*eg:\s*/)
     if(enums.length < 2) {
@@ -305,9 +776,63 @@ function parseEnums(description) {
     }
 }
 
-function fileFormat(comments) {
+/**
+ * Collects the references to definitions, parameters and responses made by the tags of a comment.
+ * @function
+ * @param {object[]} tags - JSDoc tags
+ * @returns {object[]} References as `{section, name, tag, lineNumber}`
+ */
+function collectRefs(tags) {
+    let refs = [];
+    for (let i in tags) {
+        const tag = tags[i];
+        if (['param', 'useParam', 'useResponse', 'returns', 'return', 'property', 'typedef', 'extends', 'augments'].indexOf(tag.title) === -1) {
+            continue;
+        }
+        let schema;
+        if (tag.title == 'param' && (tag.name || '').charAt(0) === '#') {
+            schema = {$ref: tag.name};
+        } else if (tag.title == 'useParam') {
+            schema = parseNames(tag.description).map((name) => ({$ref: '#/parameters/' + name}));
+        } else if (tag.title == 'useResponse') {
+            const names = parseNames(tag.description);
+            schema = names.length === 2 ? {$ref: '#/responses/' + names[1]} : undefined;
+        } else if (tag.title == 'typedef') {
+            schema = parseParents([tag]);
+        } else if (tag.title == 'extends' || tag.title == 'augments') {
+            schema = parseParents([{}, tag]);
+        } else if (tag.type) {
+            schema = parseSchema(tag.type);
+        }
+        JSON.stringify(schema, function (key, value) {
+            const match = key === '$ref' && /^#\/(definitions|parameters|responses)\/(.+)$/.exec(value);
+            if (match) {
+                refs.push({section: match[1], name: match[2], tag: tag.title, lineNumber: tag.lineNumber});
+            }
+            return value;
+        });
+    }
+    return refs;
+}
+
+/**
+ * Converts a JSDoc comment to swagger paths, tags and definitions.
+ * @function
+ * @param {object} comments - JSDoc comment
+ * @param {object} [diagnostics] - Receives `error({message, tag, lineNumber})` for malformed tags, which are skipped
+ * @param {object} [models] - Sequelize models, typing the path parameters which aren't documented
+ *                          and expanding `@paginated`
+ * @param {object} [options] - Configuration options, see `buildSpec`
+ * @returns {object} Swagger paths as `parameters`, tags, definitions, the `@parameterdef` and `@responsedef`
+ *                   `components` by section, the references made to definitions, parameters and responses
+ *                   as `refs`, the `@openapi` blocks to merge after conversion as `overrides` and the
+ *                   `@noEnvelope` / `@noStandardResponses` opt-outs as `'<tag> <method> <path>'` in `optOuts`
+ */
+function fileFormat(comments, diagnostics, models, options) {
 
-    let route, parameters = {}, params = [], tags = [], definitions = {};
+    let route, parameters = {}, params = [], tags = [], definitions = {}, overrides = [], optOuts = [];
+    let components = {parameters: {}, responses: {}};
+    const blocks = parseSwaggerBlocks(comments.tags, diagnostics);
     for (let i in comments) {
         let desc = parseDescription(comments);
         if (i == 'tags') {
@@ -315,12 +840,39 @@ function fileFormat(comments) {
 
                 const typedefParsed = parseTypedef(comments[i]);
                 definitions[typedefParsed.typeName] = typedefParsed.details;
+                overrides = applySwaggerBlocks(blocks, definitions[typedefParsed.typeName], {
+                    definition: typedefParsed.typeName
+                });
+                continue;
+            }
+            if (comments[i].length > 0 && COMPONENT_TAGS[comments[i][0]['title']]) {
+                const component = parseComponentDef(comments[i], diagnostics);
+                if (component) {
+                    components[component.section][component.name] = component.value;
+                    overrides = applySwaggerBlocks(blocks, component.value, {
+                        component: component.section,
+                        name: component.name
+                    });
+                }
                 continue;
             }
             for (let j in comments[i]) {
                 let title = comments[i][j]['title']
                 if (title == 'route') {
                     route = parseRoute(comments[i][j]['description'])
+                    if (swaggerHelpers.HTTP_METHODS.indexOf(route.method) === -1 || !route.uri) {
+                        if (diagnostics) {
+                            diagnostics.error({
+                                message: swaggerHelpers.HTTP_METHODS.indexOf(route.method) === -1 ?
+                                    `Missing or unknown HTTP method in '${comments[i][j]['description']}', expected one of: ${swaggerHelpers.HTTP_METHODS.join(', ')}.` :
+                                    `Missing path in '${comments[i][j]['description']}'.`,
+                                tag: title,
+                                lineNumber: comments[i][j].lineNumber
+                            });
+                        }
+                        route = undefined;
+                        continue;
+                    }
                     let tag = parseTag(comments[i])
                     parameters[route.uri] = parameters[route.uri] || {}
                     parameters[route.uri][route.method] = parameters[route.uri][route.method] || {}
@@ -333,25 +885,24 @@ function fileFormat(comments) {
                     })
                 }
                 if (title == 'param') {
-                    let field = parseField(comments[i][j]['name']),
-                        properties = {
-                            name: field.name,
-                            in: field.parameter_type,
-                            description: comments[i][j]['description'],
-                            required: field.required
-                        },
-                        schema = parseSchema(comments[i][j]['type'])
-                    // we only want a type if there is no referenced schema
-                    if (!schema) {
-                        properties.type = parseType(comments[i][j]['type'])
-                        if(properties.type == 'enum') {
-                            let parsedEnum = parseEnums(comments[i][j]['description'])
-                            properties.type = parsedEnum.type
-                            properties.enum = parsedEnum.enums
+                    const name = comments[i][j]['name'] || '';
+                    if (name.charAt(0) === '#') {
+                        const ref = parseParameterRef(comments[i][j], diagnostics);
+                        if (ref) {
+                            params.push(ref)
                         }
-                    } else
-                        properties.schema = schema
-                    params.push(properties)
+                    } else {
+                        const properties = parseParameter(comments[i][j], parseField(name), diagnostics);
+                        if (properties) {
+                            params.push(properties)
+                        }
+                    }
+                }
+
+                if (title == 'useParam') {
+                    parseNames(comments[i][j]['description']).forEach((name) => {
+                        params.push({$ref: '#/parameters/' + name})
+                    });
                 }
 
                 if (title == 'operationId' && route) {
@@ -385,7 +936,131 @@ function fileFormat(comments) {
             }
         }
     }
-    return {parameters: parameters, tags: tags, definitions: definitions}
+    if (route) {
+        const operation = parameters[route.uri][route.method];
+        // File uploads can only be sent as multipart
+        if (!operation.consumes && operation.parameters.some((param) => param.type === 'file')) {
+            operation.consumes = ['multipart/form-data'];
+        }
+        comments.tags.filter((tag) => tag.title === 'useResponse').forEach((tag) => {
+            const names = parseNames(tag.description);
+            if (names.length !== 2) {
+                if (diagnostics) {
+                    diagnostics.error({
+                        message: `Expected a status code and a response name, eg. '404 NotFound', got '${tag.description || ''}'.`,
+                        tag: tag.title,
+                        lineNumber: tag.lineNumber
+                    });
+                }
+                return;
+            }
+            operation.responses[names[0]] = {$ref: '#/responses/' + names[1]};
+        });
+        applyListPreset(comments.tags, parameters[route.uri][route.method], models, options, diagnostics);
+        inferPathParameters(route.uri, parameters[route.uri][route.method]['parameters'], models, options);
+        overrides = applySwaggerBlocks(blocks, parameters[route.uri][route.method], {
+            uri: route.uri,
+            method: route.method
+        });
+        ['noEnvelope', 'noStandardResponses'].forEach((title) => {
+            if (comments.tags.some((tag) => tag.title === title)) {
+                optOuts.push(title + ' ' + route.method + ' ' + route.uri);
+            }
+        });
+    } else if (blocks.length && !Object.keys(definitions).length && !Object.keys(components.parameters).concat(Object.keys(components.responses)).length && diagnostics) {
+        diagnostics.error({
+            message: 'Needs a @route, @typedef, @parameterdef or @responsedef in the same comment to merge into.',
+            tag: blocks[0].title,
+            lineNumber: blocks[0].lineNumber
+        });
+    }
+    return {parameters: parameters, tags: tags, definitions: definitions, components: components, refs: collectRefs(comments.tags), overrides: overrides, optOuts: optOuts}
+}
+
+/**
+ * Parses the YAML or JSON bodies of the `@swagger` and `@openapi` tags of a comment.
+ * Bodies which don't parse to an object are reported and skipped.
+ * @function
+ * @param {object[]} tags - Tags of the comment
+ * @param {object} [diagnostics] - Diagnostics receiving the errors
+ * @returns {object[]} Blocks as `{title, value, lineNumber}`, in comment order
+ * @requires js-yaml
+ */
+function parseSwaggerBlocks(tags, diagnostics) {
+    let blocks = [];
+    for (let i = 0; i < (tags || []).length; i = i + 1) {
+        const tag = tags[i];
+        if (tag.title !== 'swagger' && tag.title !== 'openapi') {
+            continue;
+        }
+        let value, message;
+        try {
+            value = yaml.safeLoad(tag.source !== undefined ? tag.source : tag.description || '');
+        } catch (e) {
+            message = `Invalid YAML or JSON: ${e.reason || e.message}.`;
+        }
+        if (!message && (!value || typeof value !== 'object' || Array.isArray(value))) {
+            message = 'The body must be a YAML or JSON object.';
+        }
+        if (message) {
+            if (diagnostics) {
+                diagnostics.error({message: message, tag: tag.title, lineNumber: tag.lineNumber});
+            }
+            continue;
+        }
+        blocks.push({title: tag.title, value: value, lineNumber: tag.lineNumber});
+    }
+    return blocks;
+}
+
+/**
+ * Deep merges the `@swagger` blocks into the Swagger 2.0 operation or definition built from
+ * the other tags. `@openapi` blocks are returned instead, they're merged once the spec is
+ * converted to its output version.
+ * @function
+ * @param {object[]} blocks - Blocks from `parseSwaggerBlocks`
+ * @param {object} target - Operation, definition, parameter or response
+ * @param {object} location - `{uri, method}` of the operation, `{definition}` or `{component, name}`
+ *                            of a parameter or response
+ * @returns {object[]} The `@openapi` blocks as `{uri, method, definition, component, name, value}`
+ */
+function applySwaggerBlocks(blocks, target, location) {
+    let overrides = [];
+    for (let i = 0; i < blocks.length; i = i + 1) {
+        if (blocks[i].title === 'swagger') {
+            swaggerHelpers.deepMerge(target, blocks[i].value);
+        } else {
+            overrides.push(Object.assign({value: blocks[i].value}, location));
+        }
+    }
+    return overrides;
+}
+
+/**
+ * Merges `@openapi` blocks into the operations, definitions, parameters and responses of the output spec.
+ * @function
+ * @param {object} spec - Output spec
+ * @param {object[]} overrides - Blocks from `applySwaggerBlocks`
+ */
+function applyOverrides(spec, overrides) {
+    for (let i = 0; i < overrides.length; i = i + 1) {
+        const override = overrides[i];
+        let target;
+        if (override.definition) {
+            const definitions = spec.openapi ? spec.components && spec.components.schemas : spec.definitions;
+            target = definitions && definitions[override.definition];
+        } else if (override.component) {
+            const components = spec.openapi ? spec.components || {} : spec;
+            // OpenAPI 3 moves body parameters to the request bodies
+            target = (components[override.component] || {})[override.name] ||
+                (override.component === 'parameters' && (components.requestBodies || {})[override.name]);
+        } else {
+            target = spec.paths[override.uri] && spec.paths[override.uri][override.method];
+        }
+        if (target) {
+            swaggerHelpers.deepMerge(target, override.value);
+        }
+    }
 }
 
 /**
@@ -402,7 +1077,154 @@ function filterJsDocComments(jsDocComments) {
 }
 
 /**
- * Converts an array of globs to full paths
+ * Scopes a diagnostics collector to a comment, turning the comment relative
+ * `lineNumber` of tags into a line in the file.
+ * @function
+ * @param {object} diagnostics - Diagnostics collector
+ * @param {string} file - File the comment is in
+ * @param {number} line - Line the comment starts at
+ * @returns {object} Diagnostics receiving `{message, tag, lineNumber}`
+ */
+function _scopeDiagnostics(diagnostics, file, line) {
+    function locate(diagnostic) {
+        const located = Object.assign({file: file, line: line + (diagnostic.lineNumber || 0)}, diagnostic);
+        delete located.lineNumber;
+        return located;
+    }
+    return {
+        error: (diagnostic) => diagnostics.error(locate(diagnostic)),
+        warning: (diagnostic) => diagnostics.warning(locate(diagnostic))
+    };
+}
+
+/**
+ * Drops the parameters of an operation which a referenced `@parameterdef` already describes,
+ * like the path parameters inferred from the route.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object, modified
+ */
+function dropShadowedParameters(swaggerObject) {
+    for (let uri in swaggerObject.paths) {
+        for (let method in swaggerObject.paths[uri]) {
+            const params = swaggerObject.paths[uri][method] && swaggerObject.paths[uri][method].parameters;
+            if (!Array.isArray(params)) {
+                continue;
+            }
+            const referenced = params.filter((param) => param.$ref).map((param) => {
+                return swaggerObject.parameters[param.$ref.slice('#/parameters/'.length)];
+            }).filter((param) => param);
+            swaggerObject.paths[uri][method].parameters = params.filter((param) => {
+                return param.$ref || !referenced.some((ref) => ref.name === param.name && ref.in === param.in);
+            });
+        }
+    }
+}
+
+/**
+ * Drops the references to undefined parameters and responses from the operations, once
+ * `checkReferences` reported them, so the spec stays valid.
+ * @function
+ * @param {object} swaggerObject - Swagger 2.0 object, modified
+ */
+function dropUndefinedReferences(swaggerObject) {
+    const defined = (section, ref) => {
+        const prefix = '#/' + section + '/';
+        return ref.indexOf(prefix) !== 0 || !!swaggerObject[section][ref.slice(prefix.length)];
+    };
+    for (let uri in swaggerObject.paths) {
+        for (let method in swaggerObject.paths[uri]) {
+            const operation = swaggerObject.paths[uri][method];
+            if (!operation || typeof operation !== 'object') {
+                continue;
+            }
+            if (Array.isArray(operation.parameters)) {
+                operation.parameters = operation.parameters.filter((param) => !param.$ref || defined('parameters', param.$ref));
+            }
+            for (let code in operation.responses) {
+                const response = operation.responses[code];
+                if (response && response.$ref && !defined('responses', response.$ref)) {
+                    delete operation.responses[code];
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Reports references to definitions which are neither documented nor generated from a model,
+ * and to parameters and responses which aren't documented.
+ * @function
+ * @param {object} swaggerObject - Swagger object
+ * @param {object[]} refs - References as `{section, name, tag, file, line}`
+ * @param {object} diagnostics - Diagnostics collector
+ */
+function checkReferences(swaggerObject, refs, diagnostics) {
+    for (let i = 0; i < refs.length; i = i + 1) {
+        const section = refs[i].section || 'definitions';
+        if (!swaggerObject[section][refs[i].name]) {
+            diagnostics.error({
+                message: `Reference to undefined ${REFERENCE_TARGETS[section]} '${refs[i].name}'.`,
+                tag: refs[i].tag,
+                file: refs[i].file,
+                line: refs[i].line
+            });
+        }
+    }
+}
+
+/**
+ * Reports operationIds used by more than one operation.
+ * @function
+ * @param {object} swaggerObject - Swagger object
+ * @param {object} operations - Locations of the documented operations by `method uri`
+ * @param {object} diagnostics - Diagnostics collector
+ */
+function checkOperationIds(swaggerObject, operations, diagnostics) {
+    let seen = {};
+    for (let uri in swaggerObject.paths) {
+        for (let method in swaggerObject.paths[uri]) {
+            const operationId = swaggerObject.paths[uri][method] && swaggerObject.paths[uri][method].operationId;
+            if (!operationId) {
+                continue;
+            }
+            if (seen[operationId]) {
+                const location = operations[method + ' ' + uri] || {};
+                diagnostics.error({
+                    message: `Duplicate operationId '${operationId}', already used by ${seen[operationId]}.`,
+                    tag: 'operationId',
+                    file: location.file,
+                    line: location.line
+                });
+            } else {
+                seen[operationId] = `${method.toUpperCase()} ${uri}`;
+            }
+        }
+    }
+}
+
+/**
+ * Swagger 2.0 has no `oneOf`: unions are kept as the `x-oneOf` extension, which leaves
+ * the schema open to any value. OpenAPI 3 output keeps them as `oneOf`.
+ * @function
+ * @param {*} obj - Swagger object or part of it, modified
+ */
+function downgradeUnions(obj) {
+    if (!obj || typeof obj !== 'object') {
+        return;
+    }
+    if (Array.isArray(obj.oneOf)) {
+        obj['x-oneOf'] = obj.oneOf;
+        delete obj.oneOf;
+    }
+    for (let key in obj) {
+        if (obj.hasOwnProperty(key)) {
+            downgradeUnions(obj[key]);
+        }
+    }
+}
+
+/**
+ * Converts an array of globs to full paths, leaving out `node_modules`
  * @function
  * @param {array} globs - Array of globs and/or normal paths
  * @return {array} Array of fully-qualified paths
@@ -410,19 +1232,26 @@ function filterJsDocComments(jsDocComments) {
  */
 function convertGlobPaths(base, globs) {
     return globs.reduce(function (acc, globString) {
-        let globFiles = glob.sync(path.resolve(base, globString));
+        let globFiles = glob.sync(path.resolve(base, globString), {ignore: '**/node_modules/**'});
         return acc.concat(globFiles);
     }, []);
 }
 /**
- * Generates the swagger spec
+ * Builds the swagger spec from the comments and models, without validating it.
  * @function
+ * @param {object} models - Sequelize models
  * @param {object} options - Configuration options
- * @returns {array} Swagger spec
- * @requires swagger-parser
+ * @param {boolean|object} [options.crud] - Generate CRUD paths for every model, or per model name
+ * @param {string} [options.openapi] - Emit OpenAPI `3.0` or `3.1` instead of Swagger 2.0
+ * @param {function} [options.onDiagnostic] - Called with every error and warning found in the comments and models
+ * @param {boolean} [options.strict] - Throw a `DiagnosticError` when there are errors
+ * @param {object} [options.responseEnvelope] - Schema wrapping successful responses of definitions, see `applyResponseEnvelope`
+ * @param {boolean|number[]|object} [options.standardResponses] - Shared error responses, see `addStandardResponses`
+ * @param {Map} [cache] - Parsed comments by file path, reused across builds
+ * @returns {object} Swagger spec
  * @requires Sequelize.Model
  */
-function generateSpecAndMount(models, options) {
+function buildSpec(models, options, cache) {
     /* istanbul ignore if */
     if (!options) {
         throw new Error('\'options\' is required.');
@@ -435,54 +1264,190 @@ function generateSpecAndMount(models, options) {
     if (!models) {
         throw new Error('\'models\' is required.');
     }
+    const diagnostics = diagnosticsFactory.createDiagnostics(options);
+
     // Build basic swagger json
-    let swaggerObject = swaggerHelpers.swaggerizeObj(options.swaggerDefinition);
+    // Build on a copy, so the definition can be built from again
+    let swaggerObject = swaggerHelpers.swaggerizeObj(JSON.parse(JSON.stringify(options.swaggerDefinition)));
     let apiFiles = convertGlobPaths(options.basedir, options.files);
+    cache = cache || new Map();
+
+    // Generated CRUD paths go in first so `@route` comments for the same path and method override them
+    const crud = options.crud ? swaggerHelpers.buildCrudFromSequelize(models, options) : undefined;
+    if (crud) {
+        swaggerHelpers.addDataToSwaggerObject(swaggerObject, [{
+            paths: crud.paths
+        }]);
+    }
+
+    // Locations of the documented operations and references, for diagnostics
+    let operations = {}, refs = [], overrides = [], optOuts = [];
 
     // Parse the documentation in the APIs array.
     for (let i = 0; i < apiFiles.length; i = i + 1) {
-        let parsedFile = parseApiFile(apiFiles[i]);
-        // console.log(JSON.stringify(parsedFile))
-        let comments = filterJsDocComments(parsedFile);
+        if (!cache.has(apiFiles[i])) {
+            let parsedFile = parseApiFile(apiFiles[i]);
+            // console.log(JSON.stringify(parsedFile))
+            cache.set(apiFiles[i], filterJsDocComments(parsedFile));
+        }
+        let comments = cache.get(apiFiles[i]);
 
         for (let j in comments) {
+            const commentDiagnostics = _scopeDiagnostics(diagnostics, apiFiles[i], comments[j].lineNumber);
             try {
-                let parsed = fileFormat(comments[j])
+                let parsed = fileFormat(comments[j], commentDiagnostics, models, options)
                 swaggerHelpers.addDataToSwaggerObject(swaggerObject, [{
                     paths: parsed.parameters,
                     tags: parsed.tags,
-                    definitions: parsed.definitions
+                    definitions: parsed.definitions,
+                    parameters: parsed.components.parameters,
+                    responses: parsed.components.responses
                 }]);
+                for (let uri in parsed.parameters) {
+                    for (let method in parsed.parameters[uri]) {
+                        operations[method + ' ' + uri] = {file: apiFiles[i], line: comments[j].lineNumber};
+                    }
+                }
+                overrides = overrides.concat(parsed.overrides);
+                optOuts = optOuts.concat(parsed.optOuts);
+                refs = refs.concat(parsed.refs.map((ref) => Object.assign({file: apiFiles[i]}, ref, {
+                    line: comments[j].lineNumber + (ref.lineNumber || 0)
+                })));
             } catch (e) {
-                console.log(`Incorrect comment format. Method was not documented.\nFile: ${apiFiles[i]}\nComment:`, comments[j])
+                commentDiagnostics.error({message: `Incorrect comment format, the operation was not documented: ${e.message}`});
             }
         }
     }
 
+    // Tags of documented groups take precedence over the generated ones
+    if (crud) {
+        swaggerHelpers.addDataToSwaggerObject(swaggerObject, [{
+            tags: crud.tags
+        }]);
+    }
+
     // Build definitions from Sequelize models
-    const sequelizeModelsDefinitions = swaggerHelpers.buildFromSequelize(models);
+    const sequelizeModelsDefinitions = swaggerHelpers.buildFromSequelize(models, Object.assign({}, options, {diagnostics}));
 
     swaggerHelpers.addDataToSwaggerObject(swaggerObject, [{
         definitions: sequelizeModelsDefinitions
     }]);
 
-    parser.parse(swaggerObject, function (error, api) {
-        if (error) {
-            console.error('\x1b[31m%s\x1b[0m', 'Swagger definition is invalid', error);
-            throw error;
+    const optedOut = (title) => (uri, method) => optOuts.indexOf(title + ' ' + method + ' ' + uri) > -1;
+    if (options.responseEnvelope) {
+        if (JSON.stringify(options.responseEnvelope).indexOf(JSON.stringify(swaggerResponses.PAYLOAD)) === -1) {
+            diagnostics.error({message: `'responseEnvelope' has no '${swaggerResponses.PAYLOAD}' placeholder for the response schema.`});
+        } else {
+            swaggerResponses.applyResponseEnvelope(swaggerObject, options.responseEnvelope, optedOut('noEnvelope'));
         }
-        swaggerObject = api;
-    });
+    }
+    if (options.standardResponses) {
+        swaggerResponses.addStandardResponses(swaggerObject, options.standardResponses, optedOut('noStandardResponses'));
+    }
 
-    let definition = JSON.parse(JSON.stringify(swaggerObject));
+    dropShadowedParameters(swaggerObject);
+    checkReferences(swaggerObject, refs, diagnostics);
+    checkOperationIds(swaggerObject, operations, diagnostics);
+    diagnostics.assert();
+    dropUndefinedReferences(swaggerObject);
 
-    parser.validate(definition, (error, api) => {
-        if (error) {
-            console.error('\x1b[31m%s\x1b[0m', 'Swagger definition is invalid', error);
-            throw error;
-        }
-        definition = api;
-    });
+    // Everything above is built as Swagger 2.0 and converted at the end
+    if (options.openapi) {
+        swaggerObject = openapiConverter.convert(swaggerObject, options.openapi);
+    } else {
+        downgradeUnions(swaggerObject);
+    }
+    applyOverrides(swaggerObject, overrides);
+
+    return JSON.parse(JSON.stringify(swaggerObject));
+}
+
+/**
+ * Checks whether swagger-parser can validate the spec, it does not know about OpenAPI 3.1 yet.
+ * @function
+ * @param {object} spec - Swagger spec
+ * @returns {boolean} Whether the spec can be validated
+ */
+function _isValidatable(spec) {
+    return !(spec.openapi && spec.openapi.indexOf('3.1') === 0);
+}
+
+/**
+ * Validates a built spec with swagger-parser. OpenAPI 3.1 specs are resolved unvalidated.
+ * @function
+ * @param {object} spec - Swagger spec
+ * @param {object} [options] - Configuration options
+ * @param {boolean} [options.dereference=false] - Resolve with the dereferenced spec, without any `$ref`
+ * @returns {Promise<object>} Swagger spec, rejects with a `SpecValidationError` when it's invalid
+ * @requires swagger-parser
+ */
+async function validateSpec(spec, options) {
+    if (!_isValidatable(spec)) {
+        return spec;
+    }
+    let api;
+    try {
+        api = await parser.validate(JSON.parse(JSON.stringify(spec)));
+    } catch (error) {
+        throw new diagnosticsFactory.SpecValidationError(error);
+    }
+    return options && options.dereference ? api : spec;
+}
+
+/**
+ * Generates the swagger spec and resolves once it's validated. When an Express app
+ * is given the validated spec is mounted on it together with a Swagger UI (see
+ * `options.route`, `options.ui` and `options.middleware`).
+ * OpenAPI 3.1 specs are resolved unvalidated.
+ * @function
+ * @param {object} models - Sequelize models
+ * @param {object} options - Configuration options, see `buildSpec`
+ * @param {boolean} [options.dereference=false] - Resolve with the dereferenced spec, without any `$ref`
+ * @param {boolean} [options.checkRoutes=false] - Report the differences between the spec and the
+ *                                                 endpoints mounted on `app`, see `checkRoutes`
+ * @param {object} [app] - Express application or router to mount the spec on
+ * @returns {Promise<object>} Swagger spec, rejects with a `DiagnosticError` in strict mode
+ *                            or a `SpecValidationError` when the spec is invalid
+ * @requires swagger-parser
+ */
+async function generateSpec(models, options, app) {
+    const spec = await validateSpec(buildSpec(models, options), options);
+
+    if (app && options.checkRoutes) {
+        routeCheck.checkRoutes(spec, app, options);
+    }
+    if (app) {
+        swaggerMount.mountSpec(app, spec, options);
+    }
+    return spec;
+}
+
+/**
+ * Generates the swagger spec synchronously and, when an Express app is given, mounts it
+ * together with a Swagger UI (see `options.route`, `options.ui` and `options.middleware`).
+ * The spec is returned before it's validated: validation runs in the background and a
+ * failure is only logged. Use `generateSpec` to wait for the validation.
+ * @function
+ * @param {object} models - Sequelize models
+ * @param {object} options - Configuration options, see `buildSpec`
+ * @param {object} [app] - Express application or router to mount the spec on
+ * @returns {object} Swagger spec, unvalidated
+ * @requires swagger-parser
+ */
+function generateSpecAndMount(models, options, app) {
+    const definition = buildSpec(models, options);
+
+    if (_isValidatable(definition)) {
+        parser.validate(JSON.parse(JSON.stringify(definition)), (error) => {
+            if (error) {
+                console.error('\x1b[31m%s\x1b[0m', 'Swagger definition is invalid', error);
+            }
+        });
+    }
+
+    if (app) {
+        swaggerMount.mountSpec(app, definition, options);
+    }
 
     return definition;
 };
@@ -490,6 +1455,14 @@ function generateSpecAndMount(models, options) {
 
 module.exports = {
     generateSpecAndMount,
+    generateSpec,
+    buildSpec,
+    validateSpec,
+    convertGlobPaths,
+    DiagnosticError: diagnosticsFactory.DiagnosticError,
+    SpecValidationError: diagnosticsFactory.SpecValidationError,
+    createRouter: swaggerMount.createRouter,
+    checkRoutes: routeCheck.checkRoutes,
     fileFormat,
     parseApiFile
 };
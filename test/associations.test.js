@@ -0,0 +1,88 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+describe('Associations', () => {
+    let sequelize, models;
+
+    before(() => {
+        sequelize = helpers.createSequelize();
+        models = {
+            Student: sequelize.define('Student', {name: DataTypes.STRING}),
+            Course: sequelize.define('Course', {title: DataTypes.STRING}),
+            Teacher: sequelize.define('Teacher', {name: DataTypes.STRING}),
+            School: sequelize.define('School', {name: DataTypes.STRING}),
+            Enrollment: sequelize.define('Enrollment', {grade: DataTypes.INTEGER})
+        };
+        models.Student.belongsToMany(models.Course, {through: models.Enrollment, as: 'courses'});
+        models.Course.belongsToMany(models.Student, {through: models.Enrollment, as: 'students'});
+        models.Course.belongsTo(models.Teacher, {as: 'teacher'});
+        models.Teacher.hasMany(models.Course, {as: 'courses'});
+        models.Teacher.belongsTo(models.School, {as: 'school'});
+    });
+
+    function build(selected, options) {
+        return swaggerHelpers.buildFromSequelize(selected, Object.assign({variants: false}, options));
+    }
+
+    it('references the target of to-one associations', () => {
+        const definitions = build(models);
+        assert.deepStrictEqual(definitions.Course.properties.teacher, {$ref: '#/definitions/Teacher'});
+        assert.deepStrictEqual(definitions.Teacher.properties.school, {$ref: '#/definitions/School'});
+    });
+
+    it('describes to-many associations as arrays of references', () => {
+        const definitions = build(models);
+        assert.deepStrictEqual(definitions.Teacher.properties.courses, {
+            type: 'array',
+            items: {$ref: '#/definitions/Course'}
+        });
+        assert.deepStrictEqual(definitions.Student.properties.courses, {
+            type: 'array',
+            items: {$ref: '#/definitions/Course'}
+        });
+    });
+
+    it('keeps associations optional', () => {
+        const definitions = build(models);
+        assert.ok((definitions.Course.required || []).indexOf('teacher') === -1);
+        assert.ok((definitions.Student.required || []).indexOf('courses') === -1);
+    });
+
+    it('describes through models with both foreign keys', () => {
+        const enrollment = build(models).Enrollment;
+        assert.deepStrictEqual(Object.keys(enrollment.properties).sort(),
+            ['CourseId', 'StudentId', 'createdAt', 'grade', 'updatedAt']);
+        assert.strictEqual(enrollment.properties.StudentId.type, 'integer');
+        assert.strictEqual(enrollment.properties.CourseId.type, 'integer');
+    });
+
+    it('includes models only reachable through associations up to associationDepth', () => {
+        assert.deepStrictEqual(Object.keys(build({Student: models.Student})), ['Student', 'Course']);
+        assert.deepStrictEqual(Object.keys(build({Student: models.Student}, {associationDepth: 2})),
+            ['Student', 'Course', 'Teacher']);
+        assert.deepStrictEqual(Object.keys(build({Student: models.Student}, {associationDepth: 0})), ['Student']);
+    });
+
+    it('leaves out references to models beyond the depth', () => {
+        const course = build({Student: models.Student}).Course;
+        assert.ok(course.properties.students);
+        assert.strictEqual(course.properties.teacher, undefined);
+    });
+
+    it('handles cyclic associations', () => {
+        const definitions = build({Teacher: models.Teacher}, {associationDepth: 10});
+        assert.deepStrictEqual(Object.keys(definitions).sort(), ['Course', 'School', 'Student', 'Teacher']);
+    });
+
+    it('leaves associations out with associations: false', () => {
+        const definitions = build(models, {associations: false});
+        assert.strictEqual(definitions.Course.properties.teacher, undefined);
+        assert.strictEqual(definitions.Student.properties.courses, undefined);
+        assert.deepStrictEqual(Object.keys(build({Student: models.Student}, {associations: false})), ['Student']);
+    });
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cli = require('../lib/cli');
+
+const CONFIG = path.join(__dirname, 'fixtures', 'cli', 'swagger.config.js');
+
+function run(argv) {
+    const io = {stdout: '', stderr: ''};
+    return cli.run(argv, {
+        stdout: {write: (text) => { io.stdout += text; }},
+        stderr: {write: (text) => { io.stderr += text; }}
+    }).then((code) => Object.assign(io, {code: code}));
+}
+
+describe('CLI', () => {
+    let dir, output;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-swagger-'));
+        output = path.join(dir, 'swagger.json');
+    });
+
+    afterEach(() => {
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it('writes the spec and exits with 0', () => {
+        return run(['--config', CONFIG, '--output', output]).then((result) => {
+            assert.strictEqual(result.code, 0, result.stderr);
+            const spec = JSON.parse(fs.readFileSync(output, 'utf-8'));
+            assert.ok(spec.paths['/users/{id}'].get);
+            assert.ok(spec.definitions.User);
+        });
+    });
+
+    it('writes YAML for a .yaml output', () => {
+        const yamlOutput = path.join(dir, 'swagger.yaml');
+        return run(['-c', CONFIG, '-o', yamlOutput]).then((result) => {
+            assert.strictEqual(result.code, 0, result.stderr);
+            assert.ok(/^swagger: '2\.0'$/m.test(fs.readFileSync(yamlOutput, 'utf-8')));
+        });
+    });
+
+    describe('--check', () => {
+        it('exits with 0 when the output is up to date', () => {
+            return run(['--config', CONFIG, '--output', output]).then(() => {
+                return run(['--config', CONFIG, '--output', output, '--check']);
+            }).then((result) => {
+                assert.strictEqual(result.code, 0, result.stderr);
+                assert.ok(/is up to date/.test(result.stdout));
+            });
+        });
+
+        it('exits with 1 when the output is out of date', () => {
+            fs.writeFileSync(output, '{}\n');
+            return run(['--config', CONFIG, '--output', output, '--check']).then((result) => {
+                assert.strictEqual(result.code, 1);
+                assert.ok(/is out of date/.test(result.stderr));
+                assert.strictEqual(fs.readFileSync(output, 'utf-8'), '{}\n');
+            });
+        });
+
+        it('exits with 1 when the output is missing', () => {
+            return run(['--config', CONFIG, '--output', output, '--check']).then((result) => {
+                assert.strictEqual(result.code, 1);
+                assert.ok(!fs.existsSync(output));
+            });
+        });
+
+        it('sets the process exit code from the bin', () => {
+            const bin = path.join(__dirname, '..', 'bin', 'sequelize-swagger.js');
+            const check = () => childProcess.spawnSync(process.execPath, [bin, '-c', CONFIG, '-o', output, '--check']);
+            assert.strictEqual(check().status, 1);
+            return run(['--config', CONFIG, '--output', output]).then(() => {
+                assert.strictEqual(check().status, 0);
+                assert.strictEqual(childProcess.spawnSync(process.execPath, [bin, '--chek']).status, 2);
+            });
+        });
+
+        it('exits with 2 when combined with --watch', () => {
+            return run(['--config', CONFIG, '--check', '--watch']).then((result) => {
+                assert.strictEqual(result.code, 2);
+            });
+        });
+    });
+
+    describe('usage errors', () => {
+        it('exits with 2 without --config', () => {
+            return run([]).then((result) => {
+                assert.strictEqual(result.code, 2);
+                assert.ok(/'--config' is required/.test(result.stderr));
+            });
+        });
+
+        it('exits with 2 on an unknown option instead of taking the next argument as its value', () => {
+            return run(['--chek', '--config', CONFIG]).then((result) => {
+                assert.strictEqual(result.code, 2);
+                assert.ok(/^Unknown option '--chek'\./.test(result.stderr));
+            });
+        });
+
+        it('reports an unknown last option as unknown rather than missing a value', () => {
+            return run(['--config', CONFIG, '--bogus']).then((result) => {
+                assert.strictEqual(result.code, 2);
+                assert.ok(/^Unknown option '--bogus'\./.test(result.stderr));
+            });
+        });
+
+        it('exits with 2 when a value is missing', () => {
+            return run(['--config']).then((result) => {
+                assert.strictEqual(result.code, 2);
+                assert.ok(/^Missing value for '--config'\./.test(result.stderr));
+            });
+        });
+
+        it('exits with 2 on an unknown format', () => {
+            return run(['--config', CONFIG, '--format', 'xml']).then((result) => {
+                assert.strictEqual(result.code, 2);
+            });
+        });
+    });
+
+    describe('parseArgs', () => {
+        it('parses flags, aliases and --name=value', () => {
+            assert.deepStrictEqual(cli.parseArgs(['-c', 'a.js', '--output=b.json', '--check']), {
+                config: 'a.js',
+                output: 'b.json',
+                check: true
+            });
+        });
+
+        it('rejects a value for a flag', () => {
+            assert.throws(() => cli.parseArgs(['--check=yes']), /doesn't take a value/);
+        });
+    });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const extractComments = require('../lib/comment-extractor').extractComments;
+
+describe('extractComments', () => {
+    it('finds comments after regex literals holding comment markers', () => {
+        const content = [
+            'const glob = /a\\/*/;',
+            'const block = x ? /\\/\\*/g : /[/*]/;',
+            '/**',
+            ' * @route GET /users',
+            ' */',
+            'const half = total / 2; /* a comment */ const ratio = 1 / 3;',
+            '/**',
+            ' * @route GET /posts',
+            ' */'
+        ].join('\n');
+        const comments = extractComments(content);
+        assert.deepStrictEqual(comments.map((comment) => comment.tags[0].description), ['GET /users', 'GET /posts']);
+        assert.deepStrictEqual(comments.map((comment) => comment.lineNumber), [3, 7]);
+    });
+
+    it('skips comment markers in strings and templates', () => {
+        const content = [
+            'const a = "/** @route GET /nope */";',
+            'const b = `/* ${"*/"} */`;',
+            '/**',
+            ' * @route GET /users',
+            ' */'
+        ].join('\n');
+        const comments = extractComments(content);
+        assert.deepStrictEqual(comments.map((comment) => comment.tags[0].description), ['GET /users']);
+    });
+
+    it('reads typedefs from TypeScript interfaces', () => {
+        const content = [
+            '/**',
+            ' * @typedef',
+            ' */',
+            'export interface Pet {',
+            '    name: string;',
+            '    born?: Date;',
+            '    readonly status: \'available\' | \'sold\';',
+            '}'
+        ].join('\n');
+        const tags = extractComments(content)[0].tags;
+        const typedef = tags.filter((tag) => tag.title === 'typedef')[0];
+        const properties = tags.filter((tag) => tag.title === 'property').map((tag) => ({
+            name: tag.name,
+            type: tag.type.name || tag.type.type
+        }));
+        assert.strictEqual(typedef.name, 'Pet');
+        assert.deepStrictEqual(properties, [
+            {name: 'name.required', type: 'string'},
+            {name: 'born', type: 'date-time'},
+            {name: 'status.required.readOnly', type: 'enum'}
+        ]);
+    });
+});
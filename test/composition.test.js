@@ -0,0 +1,114 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const bodyParser = require('body-parser');
+const express = require('express');
+const request = require('supertest');
+const createValidator = require('../lib/swagger-validator').createValidator;
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+function generate(openapi) {
+    return swagger.generateSpec(helpers.models, helpers.options(['./composition.js'], {openapi: openapi}));
+}
+
+describe('Typedef composition', () => {
+    let definitions;
+
+    before(() => {
+        return generate().then((spec) => {
+            definitions = spec.definitions;
+        });
+    });
+
+    it('puts the typedef parent and @extends in allOf', () => {
+        assert.deepStrictEqual(definitions.Cat.allOf, [
+            {$ref: '#/definitions/Animal'},
+            {$ref: '#/definitions/Named'}
+        ]);
+        assert.deepStrictEqual(definitions.Cat.properties, {indoor: {type: 'boolean', description: ''}});
+        assert.deepStrictEqual(definitions.Dog.allOf, [{$ref: '#/definitions/Animal'}]);
+    });
+
+    it('extends model definitions', () => {
+        assert.deepStrictEqual(definitions.AdminUser.allOf, [{$ref: '#/definitions/User'}]);
+        assert.deepStrictEqual(definitions.AdminUser.required, ['roles']);
+    });
+
+    it('sets the discriminator and requires its property', () => {
+        assert.strictEqual(definitions.Animal.discriminator, 'kind');
+        assert.deepStrictEqual(definitions.Animal.required, ['kind']);
+    });
+
+    it('converts the discriminator and parents for OpenAPI 3', () => {
+        return generate('3.0').then((spec) => {
+            const schemas = spec.components.schemas;
+            assert.deepStrictEqual(schemas.Animal.discriminator, {propertyName: 'kind'});
+            assert.deepStrictEqual(schemas.Cat.allOf, [
+                {$ref: '#/components/schemas/Animal'},
+                {$ref: '#/components/schemas/Named'}
+            ]);
+        });
+    });
+});
+
+describe('Unions', () => {
+    const union = (prefix) => [{$ref: prefix + 'Cat'}, {$ref: prefix + 'Dog'}];
+
+    function server(spec) {
+        const app = express();
+        app.use(bodyParser.json());
+        app.use(createValidator(spec));
+        app.post('/pets', (req, res) => res.json(req.body));
+        return app;
+    }
+
+    describe('Swagger 2.0', () => {
+        let spec;
+
+        before(() => {
+            return generate().then((generated) => {
+                spec = generated;
+            });
+        });
+
+        it('keeps unions as x-oneOf in typedefs, properties, items and responses', () => {
+            const definitions = spec.definitions;
+            assert.deepStrictEqual(definitions.Pet, {'x-oneOf': union('#/definitions/')});
+            assert.deepStrictEqual(definitions.AdminUser.properties.pet, {'x-oneOf': union('#/definitions/')});
+            assert.deepStrictEqual(definitions.AdminUser.properties.pets.items, {'x-oneOf': union('#/definitions/')});
+            assert.deepStrictEqual(spec.paths['/pets'].post.responses[200].schema, {'x-oneOf': union('#/definitions/')});
+        });
+
+        it('leaves the validator accepting any value', () => {
+            return request(server(spec)).post('/pets').send([1]).expect(200);
+        });
+    });
+
+    describe('OpenAPI 3', () => {
+        let spec;
+
+        before(() => {
+            return generate('3.0').then((generated) => {
+                spec = generated;
+            });
+        });
+
+        it('keeps unions as oneOf', () => {
+            const schemas = spec.components.schemas;
+            assert.deepStrictEqual(schemas.Pet, {oneOf: union('#/components/schemas/')});
+            assert.deepStrictEqual(schemas.AdminUser.properties.pets.items, {oneOf: union('#/components/schemas/')});
+            const response = spec.paths['/pets'].post.responses[200].content['application/json'];
+            assert.deepStrictEqual(response.schema, {oneOf: union('#/components/schemas/')});
+        });
+
+        it('validates against exactly one of the types', () => {
+            const app = server(spec);
+            return Promise.all([
+                request(app).post('/pets').send({kind: 'dog', goodBoy: true}).expect(200),
+                request(app).post('/pets').send([1]).expect(400)
+            ]);
+        });
+    });
+});
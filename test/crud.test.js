@@ -0,0 +1,117 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+describe('CRUD paths', () => {
+    let models;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        models = {
+            User: sequelize.define('User', {name: DataTypes.STRING}),
+            Post: sequelize.define('Post', {title: DataTypes.STRING}),
+            Account: sequelize.define('Account', {
+                number: {type: DataTypes.BIGINT, primaryKey: true}
+            }),
+            Price: sequelize.define('Price', {
+                amount: {type: DataTypes.DECIMAL(10, 2), primaryKey: true}
+            }),
+            Log: sequelize.define('Log', {message: DataTypes.STRING})
+        };
+        models.Log.removeAttribute('id');
+    });
+
+    function generate(extra, files) {
+        return swagger.generateSpec(models, helpers.options(files || [], extra));
+    }
+
+    it('generates every operation with crud: true', () => {
+        return generate({crud: true}).then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths['/users']), ['get', 'post']);
+            assert.deepStrictEqual(Object.keys(spec.paths['/users/{id}']), ['get', 'put', 'patch', 'delete']);
+            assert.strictEqual(spec.paths['/users'].get.operationId, 'listUsers');
+            assert.strictEqual(spec.paths['/users/{id}'].delete.operationId, 'deleteUser');
+            assert.deepStrictEqual(spec.paths['/users'].get.tags, ['User']);
+            assert.ok(spec.tags.some((tag) => tag.name === 'User'));
+        });
+    });
+
+    it('references the model definitions', () => {
+        return generate({crud: true}).then((spec) => {
+            const item = spec.paths['/users/{id}'];
+            assert.deepStrictEqual(spec.paths['/users'].get.responses['200'].schema, {
+                type: 'array',
+                items: {$ref: '#/definitions/User'}
+            });
+            assert.deepStrictEqual(spec.paths['/users'].post.parameters[0].schema, {$ref: '#/definitions/UserCreate'});
+            assert.deepStrictEqual(item.put.parameters[1].schema, {$ref: '#/definitions/UserCreate'});
+            assert.deepStrictEqual(item.patch.parameters[1].schema, {$ref: '#/definitions/UserUpdate'});
+            assert.deepStrictEqual(item.get.responses['200'].schema, {$ref: '#/definitions/User'});
+            assert.ok(item.get.responses['404']);
+        });
+    });
+
+    it('references the model itself with variants: false', () => {
+        return generate({crud: {User: true}, variants: false}).then((spec) => {
+            assert.deepStrictEqual(spec.paths['/users'].post.parameters[0].schema, {$ref: '#/definitions/User'});
+            assert.deepStrictEqual(spec.paths['/users/{id}'].patch.parameters[1].schema, {$ref: '#/definitions/User'});
+        });
+    });
+
+    it('types the path parameter from the primary key', () => {
+        return generate({crud: true}).then((spec) => {
+            assert.deepStrictEqual(spec.paths['/users/{id}'].get.parameters, [
+                {name: 'id', in: 'path', required: true, type: 'integer', format: 'int32'}
+            ]);
+            assert.deepStrictEqual(spec.paths['/accounts/{number}'].get.parameters, [
+                {name: 'number', in: 'path', required: true, type: 'integer', format: 'int64'}
+            ]);
+        });
+    });
+
+    it('applies the type options to the primary key', () => {
+        const options = {
+            crud: {Account: true, Price: true},
+            decimalAsString: true,
+            typeMappers: {BIGINT: () => ({type: 'string', format: 'int64-string'})}
+        };
+        return generate(options).then((spec) => {
+            assert.deepStrictEqual(spec.paths['/accounts/{number}'].get.parameters[0],
+                {name: 'number', in: 'path', required: true, type: 'string', format: 'int64-string'});
+            assert.strictEqual(spec.paths['/prices/{amount}'].get.parameters[0].type, 'string');
+        });
+    });
+
+    it('only generates collection operations without a primary key', () => {
+        return generate({crud: {Log: true}}).then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths), ['/logs']);
+        });
+    });
+
+    it('is configured per model', () => {
+        const crud = {
+            User: ['list', 'read'],
+            Post: {path: '/articles', operations: ['create', 'delete']},
+            Account: false
+        };
+        return generate({crud: crud}).then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths).sort(), ['/articles', '/articles/{id}', '/users', '/users/{id}']);
+            assert.deepStrictEqual(Object.keys(spec.paths['/users']), ['get']);
+            assert.deepStrictEqual(Object.keys(spec.paths['/users/{id}']), ['get']);
+            assert.deepStrictEqual(Object.keys(spec.paths['/articles']), ['post']);
+            assert.deepStrictEqual(Object.keys(spec.paths['/articles/{id}']), ['delete']);
+        });
+    });
+
+    it('lets @route comments override generated operations', () => {
+        return generate({crud: {User: true}}, ['./crud.js']).then((spec) => {
+            assert.strictEqual(spec.paths['/users'].get.description, 'Only active users');
+            assert.strictEqual(spec.paths['/users'].get.operationId, undefined);
+            assert.strictEqual(spec.paths['/users'].post.operationId, 'createUser');
+        });
+    });
+});
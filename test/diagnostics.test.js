@@ -0,0 +1,122 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const path = require('path');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+const FILE = path.join(__dirname, 'fixtures', 'diagnostics.js');
+
+describe('Diagnostics', () => {
+    let diagnostics;
+
+    before(() => {
+        diagnostics = [];
+        const options = helpers.options(['./diagnostics.js'], {
+            onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)
+        });
+        // The undefined typedef makes the spec itself invalid
+        return swagger.generateSpec(helpers.models, options).then(() => {
+            throw new Error('Expected the generation to fail');
+        }, (error) => {
+            assert.ok(error instanceof swagger.SpecValidationError);
+        });
+    });
+
+    function find(tag) {
+        const found = diagnostics.filter((diagnostic) => diagnostic.tag === tag);
+        assert.strictEqual(found.length, 1, `${tag}: ${JSON.stringify(diagnostics)}`);
+        return found[0];
+    }
+
+    it('reports every problem as an error with its file', () => {
+        assert.strictEqual(diagnostics.length, 4);
+        diagnostics.forEach((diagnostic) => {
+            assert.strictEqual(diagnostic.severity, 'error');
+            assert.strictEqual(diagnostic.file, FILE);
+        });
+    });
+
+    it('points at the line of the offending tag', () => {
+        assert.strictEqual(find('route').line, 2);
+        assert.ok(/unknown HTTP method in 'FETCH \/users'/.test(find('route').message));
+        assert.strictEqual(find('param').line, 7);
+        assert.ok(/Unknown location 'nowhere' of parameter 'q'/.test(find('param').message));
+        assert.strictEqual(find('returns').line, 8);
+        assert.strictEqual(find('returns').message, 'Reference to undefined typedef or model \'Missing\'.');
+    });
+
+    it('points duplicate operationIds at the second operation', () => {
+        const duplicate = find('operationId');
+        assert.strictEqual(duplicate.line, 16);
+        assert.strictEqual(duplicate.message, 'Duplicate operationId \'duplicate\', already used by GET /first.');
+    });
+
+    it('throws a DiagnosticError holding every error in strict mode', () => {
+        const options = helpers.options(['./diagnostics.js'], {strict: true});
+        return swagger.generateSpec(helpers.models, options).then(() => {
+            throw new Error('Expected the generation to fail');
+        }, (error) => {
+            assert.ok(error instanceof swagger.DiagnosticError);
+            assert.strictEqual(error.diagnostics.length, 4);
+            assert.ok(error.message.indexOf(`error: ${FILE}:2 @route Missing or unknown HTTP method`) > -1, error.message);
+        });
+    });
+});
+
+describe('Spec validation', () => {
+    const invalidBasePath = {swaggerDefinition: {info: {title: 'Test', version: '1.0.0'}, basePath: 'api'}};
+
+    it('rejects with the schema errors as details', () => {
+        return swagger.generateSpec(helpers.models, helpers.options([], invalidBasePath)).then(() => {
+            throw new Error('Expected the generation to fail');
+        }, (error) => {
+            assert.ok(error instanceof swagger.SpecValidationError);
+            assert.strictEqual(error.name, 'SpecValidationError');
+            assert.ok(/String does not match pattern \^\/: api at #\/basePath/.test(error.message), error.message);
+            assert.deepStrictEqual(error.details.map((detail) => [detail.code, detail.path]), [['PATTERN', ['basePath']]]);
+            assert.ok(error.cause instanceof Error);
+            assert.strictEqual(error.cause.message, error.message);
+        });
+    });
+
+    it('keeps the details empty for unresolvable references', () => {
+        return swagger.generateSpec(helpers.models, helpers.options(['./diagnostics.js'])).then(() => {
+            throw new Error('Expected the generation to fail');
+        }, (error) => {
+            assert.ok(error instanceof swagger.SpecValidationError);
+            assert.deepStrictEqual(error.details, []);
+            assert.ok(/Missing/.test(error.cause.message));
+        });
+    });
+
+    it('resolves once the spec is valid, dereferenced when asked to', () => {
+        return swagger.generateSpec(helpers.models, helpers.options(['./openapi.js'], {dereference: true})).then((spec) => {
+            assert.strictEqual(spec.paths['/test/'].get.responses['200'].schema.items.properties.x.type, 'integer');
+        });
+    });
+
+    it('logs an invalid spec in the background with generateSpecAndMount', () => {
+        const error = console.error;
+        const logged = new Promise((resolve) => {
+            console.error = function () {
+                resolve(Array.prototype.slice.call(arguments));
+            };
+        });
+        let spec;
+        try {
+            spec = swagger.generateSpecAndMount(helpers.models, helpers.options([], invalidBasePath));
+        } catch (e) {
+            console.error = error;
+            throw e;
+        }
+        // The spec is returned right away, the validation result comes later
+        assert.strictEqual(spec.basePath, 'api');
+        return logged.then((args) => {
+            console.error = error;
+            assert.strictEqual(args[1], 'Swagger definition is invalid');
+            assert.ok(/basePath/.test(args[2].message));
+        });
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+const ENVELOPE = {
+    type: 'object',
+    required: ['data'],
+    properties: {
+        data: '$payload',
+        meta: {type: 'object'}
+    }
+};
+
+function generate(extra) {
+    return swagger.generateSpec(helpers.models, helpers.options(['./envelope.js'], Object.assign({
+        responseEnvelope: ENVELOPE
+    }, extra)));
+}
+
+function wrapped(schema) {
+    return {type: 'object', required: ['data'], properties: {data: schema, meta: {type: 'object'}}};
+}
+
+describe('Response envelopes', () => {
+    let paths;
+
+    before(() => {
+        return generate().then((spec) => {
+            paths = spec.paths;
+        });
+    });
+
+    it('wraps successful responses of definitions in the envelope', () => {
+        assert.deepStrictEqual(paths['/users/{id}'].get.responses[200].schema, wrapped({$ref: '#/definitions/User'}));
+        assert.deepStrictEqual(paths['/users'].post.responses[201].schema, wrapped({$ref: '#/definitions/User'}));
+    });
+
+    it('wraps arrays of definitions as a whole', () => {
+        assert.deepStrictEqual(paths['/users'].get.responses[200].schema, wrapped({
+            type: 'array',
+            items: {$ref: '#/definitions/User'}
+        }));
+    });
+
+    it('leaves primitive payloads, errors and opted out operations alone', () => {
+        assert.deepStrictEqual(paths['/users/names'].get.responses[200].schema, {type: 'array', items: {type: 'string'}});
+        assert.deepStrictEqual(paths['/users/{id}'].get.responses[404].schema, {$ref: '#/definitions/Problem'});
+        assert.deepStrictEqual(paths['/users/{id}/raw'].get.responses[200].schema, {$ref: '#/definitions/User'});
+    });
+
+    it('wraps before converting to OpenAPI 3', () => {
+        return generate({openapi: '3.0'}).then((spec) => {
+            const content = spec.paths['/users'].get.responses[200].content['application/json'];
+            assert.deepStrictEqual(content.schema, wrapped({
+                type: 'array',
+                items: {$ref: '#/components/schemas/User'}
+            }));
+        });
+    });
+
+    it('reports an envelope without the placeholder', () => {
+        const diagnostics = [];
+        const envelope = {type: 'object', properties: {data: {type: 'object'}}};
+        return generate({responseEnvelope: envelope, onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)}).then((spec) => {
+            assert.deepStrictEqual(diagnostics.map((diagnostic) => [diagnostic.severity, diagnostic.message]), [
+                ['error', '\'responseEnvelope\' has no \'$payload\' placeholder for the response schema.']
+            ]);
+            assert.deepStrictEqual(spec.paths['/users/{id}'].get.responses[200].schema, {$ref: '#/definitions/User'});
+        });
+    });
+});
@@ -0,0 +1,4 @@
+/**
+ * @route GET /users/:id
+ * @returns {User.model} 200 - The user
+ */
@@ -0,0 +1,10 @@
+'use strict';
+
+module.exports = {
+    swaggerDefinition: {
+        info: {title: 'CLI', version: '1.0.0'},
+        basePath: '/'
+    },
+    files: ['./routes.js'],
+    models: '../../helpers/models.js'
+};
@@ -0,0 +1,38 @@
+/**
+ * @typedef Named
+ * @property {string} name.required
+ */
+
+/**
+ * @typedef Animal
+ * @property {string} kind.required
+ * @discriminator kind
+ */
+
+/**
+ * @typedef {Animal} Cat - A cat
+ * @extends Named
+ * @property {boolean} indoor
+ */
+
+/**
+ * @typedef {Animal} Dog - A dog
+ * @property {boolean} goodBoy
+ */
+
+/**
+ * @typedef {(Cat|Dog)} Pet - A cat or a dog
+ */
+
+/**
+ * @typedef {User.model} AdminUser - The User model with roles
+ * @property {Array.<string>} roles.required
+ * @property {Cat.model|Dog.model} pet
+ * @property {Array.<Cat|Dog>} pets
+ */
+
+/**
+ * @route POST /pets
+ * @param {Pet.model} pet.body.required - The pet
+ * @returns {Cat.model|Dog.model} 200 - The created pet
+ */
@@ -0,0 +1,5 @@
+/**
+ * Only active users
+ * @route GET /users
+ * @returns {Array.<User>} 200 - The users
+ */
@@ -0,0 +1,19 @@
+/**
+ * @route FETCH /users
+ */
+
+/**
+ * @route GET /things
+ * @param {string} q.nowhere - Unknown location
+ * @returns {Missing.model} 200 - Undefined typedef
+ */
+
+/**
+ * @route GET /first
+ * @operationId duplicate
+ */
+
+/**
+ * @route GET /second
+ * @operationId duplicate
+ */
@@ -0,0 +1,32 @@
+/**
+ * @typedef Problem
+ * @property {string} message.required
+ */
+
+/**
+ * @route GET /users/{id}
+ * @returns {User.model} 200 - The user
+ * @returns {Problem.model} 404 - No such user
+ */
+
+/**
+ * @route GET /users
+ * @returns {Array.<User>} 200 - The users
+ */
+
+/**
+ * @route POST /users
+ * @param {UserCreate.model} user.body.required - The user
+ * @returns {User.model} 201 - The created user
+ */
+
+/**
+ * @route GET /users/names
+ * @returns {Array.<string>} 200 - Names of the users
+ */
+
+/**
+ * @route GET /users/{id}/raw
+ * @noEnvelope
+ * @returns {User.model} 200 - The user, unwrapped
+ */
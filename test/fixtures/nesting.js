@@ -0,0 +1,16 @@
+/**
+ * @typedef Order
+ * @property {object} address.required - Where to ship
+ * @property {string} address.city.required
+ * @property {string} address.zip
+ * @property {Array.<object>} lines.required
+ * @property {string} lines[].sku.required
+ * @property {integer} lines[].quantity
+ * @property {string} lines[].meta.note.readOnly
+ */
+
+/**
+ * @route POST /orders
+ * @param {Order.model} order.body.required - The order
+ * @returns {Order.model} 200 - The created order
+ */
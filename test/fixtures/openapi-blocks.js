@@ -0,0 +1,7 @@
+/**
+ * @route PUT /things/{name}
+ * @param {string} name.path.required - Name
+ * @param {Thing.model} thing.body.required - Thing
+ * @returns {Thing.model} 200 - Updated
+ * @openapi {"requestBody": {"content": {"text/csv": {"schema": {"type": "string"}}}}}
+ */
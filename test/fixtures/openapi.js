@@ -0,0 +1,32 @@
+/**
+ * @typedef ReqNameJSON
+ * @property {string} name.required - name of person making request - eg: John Doe
+ */
+
+/**
+ * @route POST /hello/
+ * @group hello - Test Demo
+ * @param {ReqNameJSON.model} name.body.required - username or email
+ * @returns {object} 200 - An object with the key 'msg'
+ * @returns {Error}  default - Unexpected error
+ * @headers {integer} 200.X-Rate-Limit - calls per hour allowed by the user
+ * @produces application/json
+ * @consumes application/json
+ */
+
+/**
+ * @typedef Point
+ * @property {integer} x.required
+ * @property {integer} y.required - Some description for point - eg: 1234
+ * @property {Array.<Color>} Color
+ */
+
+/**
+ * @typedef Color
+ * @property {string} blue
+ */
+
+/**
+ * @route GET /test/
+ * @returns {Array.<Point>} 200 - Some description for point
+ */
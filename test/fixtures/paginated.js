@@ -0,0 +1,17 @@
+/**
+ * @route GET /users
+ * @paginated User
+ * @returns {object} 200 - The users
+ */
+
+/**
+ * @route GET /posts
+ * @listOf Post
+ * @param {integer} limit.query - At most 10 posts
+ */
+
+/**
+ * @route GET /things
+ * @paginated Thing
+ * @returns {object} 200 - The things
+ */
@@ -0,0 +1,10 @@
+/**
+ * @route GET /search/:ids
+ * @param {integer} limit.query - Page size - default: many
+ * @param {number} ratio.query - Ratio - min: low
+ * @param {Array.<string>} tags.query - Tags - collectionFormat: commas
+ * @param {Array.<string>} ids.path.required - Ids - collectionFormat: multi
+ * @param {file} upload.query - Upload
+ * @param {string} token.cookie - Token
+ * @returns {object} 200 - Found
+ */
@@ -0,0 +1,24 @@
+/**
+ * @route POST /users/:id/avatar
+ * @param {Array.<integer>} ids.query - Ids to load - eg: 1,2,3
+ * @param {Array.<string>} tags.query - Tags - collectionFormat: multi - default: new,featured
+ * @param {Array.<string>} names.query - Names - collectionFormat: pipes - default: a|b
+ * @param {integer} limit.query - Page size - default: 20 - min: 1 - max: 100
+ * @param {boolean} deleted.query - Include deleted ones - default: false
+ * @param {string} code.query - Code - pattern: ^[A-Z]+$ - minLength: 2 - maxLength: 4
+ * @param {date-time} since.query - Updated after
+ * @param {double} ratio.query - Ratio
+ * @param {enum} status.query - Status - eg: available,pending
+ * @param {string} note.query - Plain - not an option: kept
+ * @param {string} q.query - Search by e-mail: exact match only
+ * @param {string} sort.query - Sort - order: asc - default: name
+ * @param {file} avatar.formData.required - The picture
+ * @returns {object} 200 - Uploaded
+ */
+
+/**
+ * @route POST /pictures
+ * @consumes application/octet-stream multipart/form-data
+ * @param {file} picture.formData - The picture
+ * @returns {object} 200 - Uploaded
+ */
@@ -0,0 +1,30 @@
+/**
+ * @route GET /users/:id
+ * @returns {object} 200 - The user
+ */
+
+/**
+ * @route GET /users/{userId}/posts/{id}
+ * @returns {object} 200 - A post of the user
+ */
+
+/**
+ * @route GET /labels/{slug}
+ * @returns {object} 200 - The tag
+ */
+
+/**
+ * @route GET /invoices/{code}
+ * @returns {object} 200 - The invoice
+ */
+
+/**
+ * @route GET /files/{name}
+ * @returns {object} 200 - The file
+ */
+
+/**
+ * @route GET /orders/{orderId}
+ * @param {string} orderId.path - Order number
+ * @returns {object} 200 - The order
+ */
@@ -0,0 +1,23 @@
+/**
+ * @parameterdef Page
+ * @param {integer} page.query - Page number - default: 1 - min: 1
+ */
+
+/**
+ * @responsedef NotFound - No such user
+ * @returns {Error.model}
+ */
+
+/**
+ * @typedef Error
+ * @property {string} message.required
+ */
+
+/**
+ * @route GET /users/:id
+ * @param #/parameters/Page
+ * @useParam Missing
+ * @useResponse 404 NotFound
+ * @useResponse 410 Gone
+ * @returns {object} 200 - The user
+ */
@@ -0,0 +1,29 @@
+/**
+ * @typedef Thing
+ * @property {string} name.required
+ * @swagger
+ *   properties:
+ *     name:
+ *       minLength: 1
+ *   x-table: things
+ */
+
+/**
+ * @route GET /things
+ * @param {integer} page.query - Page
+ * @param {integer} limit.query - Limit
+ * @returns {Array.<Thing>} 200 - Things
+ * @swagger
+ *   parameters:
+ *     - name: page
+ *       in: query
+ *       minimum: 1
+ *   x-rate-limit: 10
+ */
+
+/**
+ * @route POST /things
+ * @param {Thing.model} thing.body.required - Thing
+ * @returns {Thing.model} 201 - Created
+ * @swagger {"summary": "Create a thing", "tags": ["things"]}
+ */
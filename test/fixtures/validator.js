@@ -0,0 +1,5 @@
+/**
+ * @route PUT /users/:id
+ * @param {UserUpdate.model} user.body.required - The changes
+ * @returns {User.model} 200 - The user
+ */
@@ -0,0 +1,67 @@
+'use strict';
+
+// Dependencies
+const path = require('path');
+const { Sequelize, DataTypes, Model } = require('sequelize');
+
+/**
+ * Creates a Sequelize instance to define models on. Nothing connects to a database,
+ * so a stub stands in for the driver.
+ * @function
+ * @param {string} [dialect=sqlite] - Dialect, eg. `mysql` for UNSIGNED types which SQLite drops
+ * @returns {object} Sequelize instance
+ */
+function createSequelize(dialect) {
+    if (dialect && dialect !== 'sqlite') {
+        return new Sequelize(`${dialect}://user:password@localhost/test`, {dialectModule: {}, logging: false});
+    }
+    return new Sequelize('sqlite::memory:', {
+        dialectModule: {verbose: () => ({Database: function () {}})},
+        logging: false
+    });
+}
+
+const sequelize = createSequelize();
+
+class User extends Model {}
+User.init({
+    id: {type: DataTypes.INTEGER, primaryKey: true, autoIncrement: true},
+    firstName: {type: DataTypes.STRING, allowNull: false},
+    lastName: DataTypes.STRING(10),
+    balance: DataTypes.DECIMAL(10, 2)
+}, {sequelize, modelName: 'User'});
+
+class Post extends Model {}
+Post.init({
+    title: DataTypes.STRING
+}, {sequelize, modelName: 'Post'});
+
+User.hasMany(Post, {as: 'posts'});
+Post.belongsTo(User, {as: 'author'});
+
+/**
+ * Generator options documenting the given fixture files.
+ * @function
+ * @param {string[]} files - Files relative to test/fixtures
+ * @param {object} [extra] - Further options
+ * @returns {object} Configuration options
+ */
+function options(files, extra) {
+    return Object.assign({
+        swaggerDefinition: {
+            info: {title: 'Test', version: '1.0.0'},
+            host: 'localhost',
+            basePath: '/'
+        },
+        basedir: path.join(__dirname, '..', 'fixtures'),
+        files: files,
+        onDiagnostic: () => undefined
+    }, extra);
+}
+
+module.exports = {
+    createSequelize,
+    sequelize,
+    models: sequelize.models,
+    options
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+describe('Hidden and read only attributes', () => {
+    let models;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        models = {
+            Member: sequelize.define('Member', {
+                email: DataTypes.STRING,
+                passwordHash: DataTypes.STRING,
+                resetToken: DataTypes.STRING,
+                isInternal: {type: DataTypes.BOOLEAN, swagger: {hidden: true}},
+                password: DataTypes.VIRTUAL,
+                fullName: {
+                    type: DataTypes.VIRTUAL,
+                    get() {
+                        return this.email;
+                    }
+                },
+                score: {type: DataTypes.INTEGER, defaultValue: 0}
+            }, {
+                defaultScope: {attributes: {exclude: ['passwordHash']}},
+                paranoid: true,
+                createdAt: 'joinedAt'
+            }),
+            Badge: sequelize.define('Badge', {
+                code: {type: DataTypes.STRING, primaryKey: true},
+                label: DataTypes.STRING,
+                secret: DataTypes.STRING
+            }, {
+                defaultScope: {attributes: ['code', 'label']},
+                timestamps: false
+            })
+        };
+    });
+
+    function build(options) {
+        return swaggerHelpers.buildFromSequelize(models, options);
+    }
+
+    it('leaves out attributes excluded by the defaultScope', () => {
+        const definitions = build();
+        assert.strictEqual(definitions.Member.properties.passwordHash, undefined);
+        assert.strictEqual(definitions.MemberCreate.properties.passwordHash, undefined);
+        assert.deepStrictEqual(Object.keys(definitions.Badge.properties), ['code', 'label']);
+    });
+
+    it('leaves out hidden attributes and VIRTUAL ones without getter', () => {
+        const member = build().Member;
+        assert.strictEqual(member.properties.isInternal, undefined);
+        assert.strictEqual(member.properties.password, undefined);
+        assert.ok(member.properties.fullName);
+    });
+
+    it('leaves out the attributes listed in the exclude option', () => {
+        const definitions = build({exclude: {Member: ['resetToken', 'email']}});
+        assert.strictEqual(definitions.Member.properties.resetToken, undefined);
+        assert.strictEqual(definitions.Member.properties.email, undefined);
+        assert.strictEqual(definitions.MemberCreate.properties.email, undefined);
+        assert.ok(definitions.Badge.properties.label);
+    });
+
+    it('marks generated attributes read only and leaves them out of the input definitions', () => {
+        const definitions = build();
+        ['id', 'score', 'joinedAt', 'updatedAt', 'deletedAt'].forEach((name) => {
+            assert.strictEqual(definitions.Member.properties[name].readOnly, true, name);
+            assert.strictEqual(definitions.MemberCreate.properties[name], undefined, name);
+        });
+        assert.strictEqual(definitions.Member.properties.email.readOnly, undefined);
+        assert.strictEqual(definitions.Badge.properties.code.readOnly, undefined);
+        assert.ok(definitions.BadgeCreate.properties.code);
+    });
+});
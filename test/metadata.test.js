@@ -0,0 +1,73 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const Sequelize = require('sequelize');
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+const DataTypes = Sequelize.DataTypes;
+
+describe('Attribute metadata', () => {
+    let properties;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        const models = {
+            Event: sequelize.define('Event', {
+                name: {type: DataTypes.STRING, comment: 'Shown in the calendar'},
+                status: {type: DataTypes.STRING, defaultValue: 'draft', comment: 'Workflow state'},
+                seats: {type: DataTypes.INTEGER, defaultValue: 0},
+                public: {type: DataTypes.BOOLEAN, defaultValue: false},
+                startsOn: {type: DataTypes.DATE, defaultValue: new Date(Date.UTC(2020, 0, 1))},
+                publishedAt: {type: DataTypes.DATE, defaultValue: DataTypes.NOW, comment: 'Publication date.'},
+                createdOn: {type: DataTypes.DATE, defaultValue: Sequelize.NOW},
+                uid: {type: DataTypes.UUID, defaultValue: DataTypes.UUIDV4},
+                legacyUid: {type: DataTypes.UUID, defaultValue: DataTypes.UUIDV1},
+                token: {type: DataTypes.STRING, defaultValue: () => 'generated'},
+                rank: {type: DataTypes.INTEGER, defaultValue: sequelize.fn('random')},
+                slot: {type: DataTypes.INTEGER, defaultValue: sequelize.literal('nextval(\'slots\')')},
+                email: {
+                    type: DataTypes.STRING,
+                    comment: 'Login email',
+                    swagger: {example: 'jane@example.com', description: 'Overrides the comment', format: 'email'}
+                }
+            }, {timestamps: false})
+        };
+        properties = swaggerHelpers.buildFromSequelize(models, {variants: false}).Event.properties;
+    });
+
+    it('describes properties with the column comment', () => {
+        assert.strictEqual(properties.name.description, 'Shown in the calendar');
+    });
+
+    it('carries static defaults', () => {
+        assert.strictEqual(properties.status.default, 'draft');
+        assert.strictEqual(properties.status.description, 'Workflow state');
+        assert.strictEqual(properties.seats.default, 0);
+        assert.strictEqual(properties.public.default, false);
+        assert.strictEqual(properties.startsOn.default, '2020-01-01T00:00:00.000Z');
+    });
+
+    it('describes generated defaults instead', () => {
+        const notes = {
+            publishedAt: 'Publication date. Defaults to the current date and time.',
+            createdOn: 'Defaults to the current date and time.',
+            uid: 'Defaults to a generated UUID v4.',
+            legacyUid: 'Defaults to a generated UUID v1.',
+            token: 'Defaults to a generated value.',
+            rank: 'Defaults to `random()` evaluated by the database.',
+            slot: 'Defaults to `nextval(\'slots\')` evaluated by the database.'
+        };
+        Object.keys(notes).forEach((name) => {
+            assert.strictEqual(properties[name].description, notes[name], name);
+            assert.strictEqual(properties[name].default, undefined, name);
+        });
+    });
+
+    it('applies the swagger key of the attribute', () => {
+        assert.strictEqual(properties.email.description, 'Overrides the comment');
+        assert.strictEqual(properties.email.example, 'jane@example.com');
+        assert.strictEqual(properties.email.format, 'email');
+    });
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swagger = require('../lib/swagger');
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+describe('Sequelize validators', () => {
+    let models, properties;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        models = {
+            Account: sequelize.define('Account', {
+                name: {type: DataTypes.STRING(20), validate: {len: [2, 40]}},
+                nickname: {type: DataTypes.STRING, validate: {len: {args: [3], msg: 'Too short'}}},
+                age: {type: DataTypes.INTEGER, validate: {min: 18, max: {args: [130], msg: 'Too old'}}},
+                email: {type: DataTypes.STRING, validate: {isEmail: true}},
+                website: {type: DataTypes.STRING, validate: {isUrl: {msg: 'Not a URL'}}},
+                token: {type: DataTypes.STRING, validate: {isUUID: 4}},
+                role: {type: DataTypes.STRING, validate: {isIn: [['admin', 'user']]}},
+                code: {type: DataTypes.STRING, validate: {is: /^[a-z]+$/i}},
+                slug: {type: DataTypes.STRING, validate: {not: ['\\s', 'g']}},
+                handle: {type: DataTypes.STRING, validate: {is: '^@', not: /admin/}},
+                bio: {type: DataTypes.STRING, validate: {isEmail: false}},
+                color: {
+                    type: DataTypes.STRING,
+                    validate: {
+                        isHex(value) {
+                            if (!/^#[0-9a-f]{6}$/.test(value)) {
+                                throw new Error('Not a color');
+                            }
+                        }
+                    }
+                }
+            }, {timestamps: false})
+        };
+        properties = swaggerHelpers.buildFromSequelize(models, {variants: false}).Account.properties;
+    });
+
+    it('maps len to minLength and maxLength, keeping the narrower maxLength', () => {
+        assert.strictEqual(properties.name.minLength, 2);
+        assert.strictEqual(properties.name.maxLength, 20);
+        assert.strictEqual(properties.nickname.minLength, 3);
+        assert.strictEqual(properties.nickname.maxLength, 255);
+    });
+
+    it('maps min and max to minimum and maximum', () => {
+        assert.strictEqual(properties.age.minimum, 18);
+        assert.strictEqual(properties.age.maximum, 130);
+    });
+
+    it('maps format validators', () => {
+        assert.strictEqual(properties.email.format, 'email');
+        assert.strictEqual(properties.website.format, 'uri');
+        assert.strictEqual(properties.token.format, 'uuid');
+        assert.strictEqual(properties.bio.format, undefined);
+    });
+
+    it('maps isIn to enum', () => {
+        assert.deepStrictEqual(properties.role.enum, ['admin', 'user']);
+    });
+
+    it('maps is and not to a pattern without the flags', () => {
+        assert.strictEqual(properties.code.pattern, '^[a-z]+$');
+        assert.strictEqual(properties.slug.pattern, '^(?!.*(?:\\s))');
+        const handle = new RegExp(properties.handle.pattern);
+        assert.ok(handle.test('@ann'));
+        assert.ok(!handle.test('@admin'));
+        assert.ok(!handle.test('ann'));
+    });
+
+    it('skips custom validators', () => {
+        assert.deepStrictEqual(properties.color, {type: 'string', maxLength: 255, 'x-nullable': true});
+    });
+
+    it('warns about custom validators', () => {
+        const diagnostics = [];
+        const options = helpers.options([], {onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)});
+        return swagger.generateSpec(models, options).then(() => {
+            assert.deepStrictEqual(diagnostics.map((diagnostic) => [diagnostic.severity, diagnostic.message]), [
+                ['warning', 'Custom validator \'isHex\' of \'color\' can\'t be expressed in the schema and was skipped.']
+            ]);
+        });
+    });
+
+    it('logs custom validators with warnings: true only', () => {
+        const warn = console.warn;
+        const logged = [];
+        console.warn = function () {
+            logged.push(Array.prototype.slice.call(arguments).join(' '));
+        };
+        try {
+            swaggerHelpers.buildFromSequelize(models);
+            assert.deepStrictEqual(logged, []);
+            swaggerHelpers.buildFromSequelize(models, {warnings: true});
+        } finally {
+            console.warn = warn;
+        }
+        assert.strictEqual(logged.length, 1);
+        assert.ok(logged[0].indexOf('Custom validator \'isHex\'') > -1);
+    });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const express = require('express');
+const request = require('supertest');
+const swaggerMount = require('../lib/swagger-mount');
+
+const SPEC = {swagger: '2.0', info: {title: 'Test', version: '1.0.0'}, paths: {}};
+
+function authenticate(req, res, next) {
+    if (req.headers.authorization !== 'Bearer secret') {
+        return res.status(401).json({message: 'Unauthorized'});
+    }
+    next();
+}
+
+describe('mountSpec', () => {
+    it('serves the spec and the UI', () => {
+        const app = swaggerMount.mountSpec(express(), SPEC);
+        return request(app).get('/api-docs.json').expect(200, SPEC).then(() => {
+            return request(app).get('/api-docs').expect(200);
+        }).then((res) => {
+            assert.ok(res.text.indexOf('url: "/api-docs.json"') > -1);
+            assert.ok(res.text.indexOf('src="/api-docs/swagger-ui-bundle.js"') > -1);
+            return request(app).get('/api-docs/swagger-ui-bundle.js').expect(200);
+        });
+    });
+
+    it('serves from the configured routes', () => {
+        const app = swaggerMount.mountSpec(express(), SPEC, {route: {url: '/docs', docs: '/docs/spec.json'}});
+        return request(app).get('/docs/spec.json').expect(200, SPEC).then(() => {
+            return request(app).get('/docs').expect(200);
+        }).then((res) => {
+            assert.ok(res.text.indexOf('url: "/docs/spec.json"') > -1);
+            return request(app).get('/api-docs.json').expect(404);
+        });
+    });
+
+    it('only serves the JSON with ui: false', () => {
+        const app = swaggerMount.mountSpec(express(), SPEC, {ui: false});
+        return request(app).get('/api-docs.json').expect(200).then(() => {
+            return request(app).get('/api-docs').expect(404);
+        });
+    });
+
+    it('runs the middleware in front of both routes', () => {
+        const app = swaggerMount.mountSpec(express(), SPEC, {middleware: authenticate});
+        return request(app).get('/api-docs.json').expect(401).then(() => {
+            return request(app).get('/api-docs').expect(401);
+        }).then(() => {
+            return request(app).get('/api-docs.json').set('Authorization', 'Bearer secret').expect(200, SPEC);
+        }).then(() => {
+            return request(app).get('/api-docs').set('Authorization', 'Bearer secret').expect(200);
+        });
+    });
+
+    it('answers 503 while the spec function returns nothing', () => {
+        let spec;
+        const app = swaggerMount.mountSpec(express(), () => spec);
+        return request(app).get('/api-docs.json').expect(503, {message: 'The spec is not generated yet'}).then(() => {
+            spec = SPEC;
+            return request(app).get('/api-docs.json').expect(200, SPEC);
+        });
+    });
+
+    it('rejects what isn\'t an app or router', () => {
+        assert.throws(() => swaggerMount.mountSpec({}, SPEC), /must be an Express application or router/);
+    });
+});
+
+describe('createRouter', () => {
+    it('serves the spec and the UI under the prefix it is mounted at', () => {
+        const app = express();
+        app.use('/v1', swaggerMount.createRouter(SPEC));
+        return request(app).get('/v1/api-docs.json').expect(200, SPEC).then(() => {
+            return request(app).get('/v1/api-docs').expect(200);
+        }).then((res) => {
+            assert.ok(res.text.indexOf('url: "/v1/api-docs.json"') > -1);
+            assert.ok(res.text.indexOf('src="/v1/api-docs/swagger-ui-bundle.js"') > -1);
+            return request(app).get('/v1/api-docs/swagger-ui-bundle.js').expect(200);
+        });
+    });
+
+    it('serves the same router under several prefixes', () => {
+        const app = express();
+        const router = swaggerMount.createRouter(SPEC, {middleware: authenticate});
+        app.use('/v1', router);
+        app.use('/v2', router);
+        return request(app).get('/v2/api-docs').expect(401).then(() => {
+            return request(app).get('/v2/api-docs').set('Authorization', 'Bearer secret').expect(200);
+        }).then((res) => {
+            assert.ok(res.text.indexOf('url: "/v2/api-docs.json"') > -1);
+        });
+    });
+});
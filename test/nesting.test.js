@@ -0,0 +1,48 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+describe('Nested @property names', () => {
+    let order;
+
+    before(() => {
+        return swagger.generateSpec(helpers.models, helpers.options(['./nesting.js'])).then((spec) => {
+            order = spec.definitions.Order;
+        });
+    });
+
+    it('builds inline objects from dotted names', () => {
+        assert.deepStrictEqual(order.required, ['address', 'lines']);
+        assert.strictEqual(order.properties.address.type, 'object');
+        assert.strictEqual(order.properties.address.description, 'Where to ship');
+        assert.deepStrictEqual(order.properties.address.required, ['city']);
+        assert.deepStrictEqual(Object.keys(order.properties.address.properties), ['city', 'zip']);
+        assert.strictEqual(order.properties.address.properties.city.type, 'string');
+    });
+
+    it('describes array items with []', () => {
+        const items = order.properties.lines.items;
+        assert.strictEqual(order.properties.lines.type, 'array');
+        assert.strictEqual(items.type, 'object');
+        assert.deepStrictEqual(items.required, ['sku']);
+        assert.strictEqual(items.properties.sku.type, 'string');
+        assert.strictEqual(items.properties.quantity.type, 'integer');
+    });
+
+    it('applies readOnly within the deepest object', () => {
+        const meta = order.properties.lines.items.properties.meta;
+        assert.strictEqual(meta.type, 'object');
+        assert.strictEqual(meta.properties.note.readOnly, true);
+        assert.strictEqual(meta.required, undefined);
+    });
+
+    it('keeps the nesting in OpenAPI 3', () => {
+        const options = helpers.options(['./nesting.js'], {openapi: '3.0'});
+        return swagger.generateSpec(helpers.models, options).then((spec) => {
+            assert.deepStrictEqual(spec.components.schemas.Order, order);
+        });
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const parser = require('swagger-parser');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+function options(extra) {
+    return helpers.options(['./openapi.js'], extra);
+}
+
+describe('OpenAPI 3 output', () => {
+    it('keeps generating a valid Swagger 2.0 spec by default', () => {
+        return swagger.generateSpec(helpers.models, options()).then((spec) => {
+            assert.strictEqual(spec.swagger, '2.0');
+            assert.ok(spec.definitions.User);
+            return parser.validate(JSON.parse(JSON.stringify(spec)));
+        });
+    });
+
+    it('converts the spec to a valid OpenAPI 3.0 document', () => {
+        return swagger.generateSpec(helpers.models, options({openapi: '3.0'})).then((spec) => {
+            assert.strictEqual(spec.openapi, '3.0.0');
+            assert.strictEqual(spec.swagger, undefined);
+            assert.strictEqual(spec.definitions, undefined);
+            assert.ok(spec.components.schemas.User);
+            assert.deepStrictEqual(spec.servers, [{url: 'http://localhost/'}]);
+            return parser.validate(JSON.parse(JSON.stringify(spec)));
+        });
+    });
+
+    it('moves body parameters to the request body and schemas to the content', () => {
+        return swagger.generateSpec(helpers.models, options({openapi: '3.0'})).then((spec) => {
+            const operation = spec.paths['/hello/'].post;
+            assert.deepStrictEqual(operation.requestBody.content['application/json'].schema, {
+                $ref: '#/components/schemas/ReqNameJSON'
+            });
+            assert.strictEqual(operation.requestBody.required, true);
+            assert.ok(!(operation.parameters || []).some((param) => param.in === 'body'));
+            assert.deepStrictEqual(spec.paths['/test/'].get.responses['200'].content['application/json'].schema, {
+                type: 'array',
+                items: {$ref: '#/components/schemas/Point'}
+            });
+        });
+    });
+
+    it('rewrites every reference to the components', () => {
+        return swagger.generateSpec(helpers.models, options({openapi: '3.0'})).then((spec) => {
+            JSON.stringify(spec, (key, value) => {
+                if (key === '$ref') {
+                    assert.strictEqual(value.indexOf('#/components/'), 0, value);
+                }
+                return value;
+            });
+        });
+    });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swagger = require('../lib/swagger');
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+function generate(extra) {
+    return swagger.generateSpec(helpers.models, helpers.options(['./paginated.js'], extra));
+}
+
+describe('List endpoints', () => {
+    let spec, diagnostics;
+
+    before(() => {
+        diagnostics = [];
+        return generate({onDiagnostic: (diagnostic) => diagnostics.push(diagnostic)}).then((generated) => {
+            spec = generated;
+        });
+    });
+
+    function names(uri) {
+        return spec.paths[uri].get.parameters.map((param) => param.name);
+    }
+
+    it('adds limit, offset, order and one filter per attribute', () => {
+        assert.deepStrictEqual(names('/users'), [
+            'limit', 'offset', 'order', 'id', 'firstName', 'lastName', 'balance', 'createdAt', 'updatedAt'
+        ]);
+        const parameters = spec.paths['/users'].get.parameters;
+        assert.deepStrictEqual(parameters[1], {
+            name: 'offset', in: 'query', required: false, type: 'integer', minimum: 0, default: 0,
+            description: 'Number of results to skip'
+        });
+        assert.deepStrictEqual(parameters[3], {
+            name: 'id', in: 'query', required: false, type: 'integer', format: 'int32',
+            description: 'Only results with this id'
+        });
+    });
+
+    it('restricts order to the attributes, ascending or descending', () => {
+        const order = spec.paths['/users'].get.parameters[2];
+        assert.strictEqual(order.type, 'array');
+        assert.strictEqual(order.collectionFormat, 'csv');
+        assert.deepStrictEqual(order.items.enum.slice(0, 4), ['id', '-id', 'firstName', '-firstName']);
+        assert.strictEqual(order.items.enum.length, 12);
+    });
+
+    it('wraps the 200 response in a {rows, count} envelope', () => {
+        assert.deepStrictEqual(spec.paths['/users'].get.responses[200], {
+            description: 'The users',
+            schema: {
+                type: 'object',
+                required: ['rows', 'count'],
+                properties: {
+                    rows: {type: 'array', items: {$ref: '#/definitions/User'}},
+                    count: {type: 'integer', description: 'Total number of Users'}
+                }
+            }
+        });
+        assert.strictEqual(spec.paths['/posts'].get.responses[200].description, 'A page of Posts');
+    });
+
+    it('keeps parameters documented with @param', () => {
+        const limit = spec.paths['/posts'].get.parameters.filter((param) => param.name === 'limit');
+        assert.deepStrictEqual(limit, [
+            {name: 'limit', in: 'query', description: 'At most 10 posts', required: false, type: 'integer'}
+        ]);
+    });
+
+    it('reports unknown models', () => {
+        assert.deepStrictEqual(diagnostics.map((diagnostic) => [diagnostic.line, diagnostic.message]), [
+            [15, 'Unknown model \'Thing\'.']
+        ]);
+        assert.deepStrictEqual(spec.paths['/things'].get.parameters, []);
+    });
+
+    it('uses the pagination options', () => {
+        const pagination = {style: 'page', defaultLimit: 20, maxLimit: 100};
+        return generate({pagination: pagination}).then((generated) => {
+            const parameters = generated.paths['/users'].get.parameters;
+            assert.deepStrictEqual(parameters[0], {
+                name: 'limit', in: 'query', required: false, type: 'integer', minimum: 1, maximum: 100, default: 20,
+                description: 'Maximum number of results'
+            });
+            assert.deepStrictEqual(parameters[1], {
+                name: 'page', in: 'query', required: false, type: 'integer', minimum: 1, default: 1,
+                description: 'Page number, starting at 1'
+            });
+        });
+    });
+
+    it('leaves out hidden attributes and those a query string can\'t hold', () => {
+        const sequelize = helpers.createSequelize();
+        const Event = sequelize.define('Event', {
+            name: DataTypes.STRING,
+            payload: DataTypes.JSON,
+            tags: DataTypes.ARRAY(DataTypes.STRING),
+            internal: {type: DataTypes.BOOLEAN, swagger: {hidden: true}}
+        }, {timestamps: false});
+        const preset = swaggerHelpers.constructListPreset(Event);
+        assert.deepStrictEqual(preset.parameters.map((param) => param.name), ['limit', 'offset', 'order', 'id', 'name']);
+        assert.deepStrictEqual(preset.parameters[2].items.enum, ['id', '-id', 'name', '-name']);
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+describe('@param', () => {
+    let operation, params;
+
+    before(() => {
+        return swagger.generateSpec(helpers.models, helpers.options(['./params.js'])).then((spec) => {
+            operation = spec.paths['/users/{id}/avatar'].post;
+            params = {};
+            operation.parameters.forEach((param) => {
+                params[param.name] = param;
+            });
+            params.pictures = spec.paths['/pictures'].post;
+        });
+    });
+
+    it('declares arrays of primitives with their collection format', () => {
+        assert.deepStrictEqual(params.ids.items, {type: 'integer'});
+        assert.strictEqual(params.ids.collectionFormat, 'csv');
+        assert.deepStrictEqual(params.ids['x-example'], [1, 2, 3]);
+        assert.strictEqual(params.tags.collectionFormat, 'multi');
+        assert.deepStrictEqual(params.tags.default, ['new', 'featured']);
+        assert.deepStrictEqual(params.names.default, ['a', 'b']);
+    });
+
+    it('casts the options to the parameter type', () => {
+        assert.strictEqual(params.limit.type, 'integer');
+        assert.strictEqual(params.limit.default, 20);
+        assert.strictEqual(params.limit.minimum, 1);
+        assert.strictEqual(params.limit.maximum, 100);
+        assert.strictEqual(params.limit.description, 'Page size');
+        assert.strictEqual(params.deleted.default, false);
+        assert.strictEqual(params.code.pattern, '^[A-Z]+$');
+        assert.strictEqual(params.code.minLength, 2);
+        assert.strictEqual(params.code.maxLength, 4);
+    });
+
+    it('keeps unknown options in the description', () => {
+        assert.strictEqual(params.note.description, 'Plain - not an option: kept');
+        assert.strictEqual(params.sort.description, 'Sort - order: asc');
+        assert.strictEqual(params.sort.default, 'name');
+    });
+
+    it('only splits on option keys after a spaced dash', () => {
+        assert.strictEqual(params.q.description, 'Search by e-mail: exact match only');
+        assert.deepStrictEqual(Object.keys(params.q).sort(), ['description', 'in', 'name', 'required', 'type']);
+    });
+
+    it('sets the formats of format types', () => {
+        assert.strictEqual(params.since.type, 'string');
+        assert.strictEqual(params.since.format, 'date-time');
+        assert.strictEqual(params.ratio.type, 'number');
+        assert.strictEqual(params.ratio.format, 'double');
+    });
+
+    it('lists the values of enums', () => {
+        assert.strictEqual(params.status.type, 'string');
+        assert.deepStrictEqual(params.status.enum, ['available', 'pending']);
+        assert.strictEqual(params.status['x-example'], undefined);
+    });
+
+    it('infers undocumented path parameters', () => {
+        assert.strictEqual(params.id.in, 'path');
+        assert.strictEqual(params.id.required, true);
+    });
+
+    it('makes file uploads consume multipart unless @consumes is given', () => {
+        assert.deepStrictEqual(params.avatar, {
+            name: 'avatar',
+            in: 'formData',
+            description: 'The picture',
+            required: true,
+            type: 'file'
+        });
+        assert.deepStrictEqual(operation.consumes, ['multipart/form-data']);
+        assert.deepStrictEqual(params.pictures.consumes, ['application/octet-stream', 'multipart/form-data']);
+    });
+
+    it('moves file uploads to a multipart request body in OpenAPI 3', () => {
+        const options = helpers.options(['./params.js'], {openapi: '3.0'});
+        return swagger.generateSpec(helpers.models, options).then((spec) => {
+            const content = spec.paths['/users/{id}/avatar'].post.requestBody.content;
+            const schema = content['multipart/form-data'].schema;
+            assert.deepStrictEqual(schema.properties.avatar, {type: 'string', format: 'binary', description: 'The picture'});
+            assert.deepStrictEqual(schema.required, ['avatar']);
+        });
+    });
+
+    it('reports options and locations which don\'t fit', () => {
+        const messages = [];
+        const options = helpers.options(['./params-invalid.js'], {
+            onDiagnostic: (diagnostic) => messages.push(diagnostic.message)
+        });
+        return swagger.generateSpec(helpers.models, options).then((spec) => {
+            assert.deepStrictEqual(messages, [
+                'Invalid default \'many\' of parameter \'limit\'.',
+                'Invalid minimum \'low\' of parameter \'ratio\'.',
+                'Unknown collection format \'commas\' of parameter \'tags\' in query.',
+                'Unknown collection format \'multi\' of parameter \'ids\' in path.',
+                'File parameter \'upload\' must be in formData.',
+                'Unknown location \'cookie\' of parameter \'token\', expected one of: ' +
+                    'query, header, path, formData, body.'
+            ]);
+            const names = spec.paths['/search/{ids}'].get.parameters.map((param) => param.name);
+            assert.deepStrictEqual(names, ['limit', 'ratio', 'tags', 'ids']);
+        });
+    });
+});
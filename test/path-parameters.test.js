@@ -0,0 +1,76 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+// A custom primary key type, only typed through `typeMappers`
+class InvoiceCode extends DataTypes.ABSTRACT.prototype.constructor {
+    toSql() {
+        return 'CHAR(8)';
+    }
+}
+InvoiceCode.prototype.key = InvoiceCode.key = 'INVOICE_CODE';
+
+describe('Path parameters', () => {
+    let paths;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        sequelize.define('User', {firstName: DataTypes.STRING});
+        sequelize.define('Post', {title: DataTypes.STRING});
+        sequelize.define('Tag', {slug: {type: DataTypes.STRING, primaryKey: true}});
+        sequelize.define('Invoice', {code: {type: new InvoiceCode(), primaryKey: true}});
+        const options = helpers.options(['./path-parameters.js'], {
+            typeMappers: {INVOICE_CODE: () => ({type: 'string', format: 'invoice-code'})}
+        });
+        return swagger.generateSpec(sequelize.models, options).then((spec) => {
+            paths = spec.paths;
+        });
+    });
+
+    function parameters(uri) {
+        return paths[uri].get.parameters.filter((param) => param.in === 'path');
+    }
+
+    it('converts Express style paths', () => {
+        assert.ok(paths['/users/{id}']);
+        assert.strictEqual(paths['/users/:id'], undefined);
+    });
+
+    it('types parameters named after a model and its primary key', () => {
+        assert.deepStrictEqual(parameters('/users/{userId}/posts/{id}')[0], {
+            name: 'userId', in: 'path', required: true, type: 'integer', format: 'int32'
+        });
+    });
+
+    it('types primary key parameters from the segment before them', () => {
+        assert.deepStrictEqual(parameters('/users/{id}'), [
+            {name: 'id', in: 'path', required: true, type: 'integer', format: 'int32'}
+        ]);
+        assert.strictEqual(parameters('/users/{userId}/posts/{id}')[1].type, 'integer');
+    });
+
+    it('types parameters named after the only primary key of that name', () => {
+        assert.deepStrictEqual(parameters('/labels/{slug}'), [{name: 'slug', in: 'path', required: true, type: 'string'}]);
+    });
+
+    it('uses the typeMappers for primary keys', () => {
+        assert.deepStrictEqual(parameters('/invoices/{code}'), [
+            {name: 'code', in: 'path', required: true, type: 'string', format: 'invoice-code'}
+        ]);
+    });
+
+    it('declares other parameters as strings', () => {
+        assert.deepStrictEqual(parameters('/files/{name}'), [{name: 'name', in: 'path', required: true, type: 'string'}]);
+    });
+
+    it('keeps documented parameters and makes them required', () => {
+        const declared = parameters('/orders/{orderId}');
+        assert.strictEqual(declared.length, 1);
+        assert.strictEqual(declared[0].description, 'Order number');
+        assert.strictEqual(declared[0].required, true);
+    });
+});
@@ -0,0 +1,124 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const express = require('express');
+const routeCheck = require('../lib/route-check');
+
+function spec(paths, basePath) {
+    return {swagger: '2.0', basePath: basePath || '/', paths: paths};
+}
+
+describe('routeCheck', () => {
+    describe('normalizePath', () => {
+        it('converts Express parameters and drops extra slashes', () => {
+            assert.strictEqual(routeCheck.normalizePath('/users/:id(\\d+)/'), '/users/{id}');
+            assert.strictEqual(routeCheck.normalizePath('files//:name?'), '/files/{name}');
+            assert.strictEqual(routeCheck.normalizePath(''), '/');
+        });
+    });
+
+    describe('listRoutes', () => {
+        it('follows nested routers', () => {
+            const app = express();
+            const router = express.Router();
+            router.get('/:id', () => undefined);
+            app.use('/users', router);
+            app.post('/login', () => undefined);
+            assert.deepStrictEqual(routeCheck.listRoutes(app), [
+                {method: 'get', path: '/users/{id}'},
+                {method: 'post', path: '/login'}
+            ]);
+        });
+    });
+
+    describe('compareRoutes', () => {
+        it('matches documented and mounted endpoints', () => {
+            const app = express();
+            app.get('/users/:id', () => undefined);
+            const result = routeCheck.compareRoutes(spec({'/users/{id}': {get: {}}}), app);
+            assert.deepStrictEqual(result, {undocumented: [], missing: [], mismatches: []});
+        });
+
+        it('reports undocumented and missing endpoints', () => {
+            const app = express();
+            app.get('/users', () => undefined);
+            const result = routeCheck.compareRoutes(spec({'/posts': {delete: {}}}), app);
+            assert.deepStrictEqual(result.undocumented, [{method: 'get', path: '/users'}]);
+            assert.deepStrictEqual(result.missing, [{method: 'delete', path: '/posts'}]);
+            assert.deepStrictEqual(result.mismatches, []);
+        });
+
+        it('prefixes documented paths with the base path', () => {
+            const app = express();
+            app.get('/v1/users', () => undefined);
+            const result = routeCheck.compareRoutes(spec({'/users': {get: {}}}, '/v1'), app);
+            assert.deepStrictEqual(result, {undocumented: [], missing: [], mismatches: []});
+        });
+
+        it('pairs a documented POST /hello/ with a router handling POST /', () => {
+            const app = express();
+            const router = express.Router();
+            router.post('/', () => undefined);
+            app.use(router);
+            const result = routeCheck.compareRoutes(spec({'/hello/': {post: {}}}), app);
+            assert.deepStrictEqual(result.undocumented, []);
+            assert.deepStrictEqual(result.missing, []);
+            assert.deepStrictEqual(result.mismatches, [{
+                documented: {method: 'post', path: '/hello'},
+                mounted: {method: 'post', path: '/'}
+            }]);
+        });
+
+        it('doesn\'t pair an unrelated root route', () => {
+            const app = express();
+            app.get('/', () => undefined);
+            const result = routeCheck.compareRoutes(spec({'/users/{id}': {get: {}}}), app);
+            assert.deepStrictEqual(result, {
+                undocumented: [{method: 'get', path: '/'}],
+                missing: [{method: 'get', path: '/users/{id}'}],
+                mismatches: []
+            });
+        });
+
+        it('pairs paths differing in parameter names or method', () => {
+            const app = express();
+            app.get('/users/:userId', () => undefined);
+            app.put('/posts', () => undefined);
+            const result = routeCheck.compareRoutes(spec({
+                '/users/{id}': {get: {}},
+                '/posts': {post: {}}
+            }), app);
+            assert.deepStrictEqual(result.mismatches, [
+                {documented: {method: 'get', path: '/users/{id}'}, mounted: {method: 'get', path: '/users/{userId}'}},
+                {documented: {method: 'post', path: '/posts'}, mounted: {method: 'put', path: '/posts'}}
+            ]);
+        });
+
+        it('lets app.all satisfy every method', () => {
+            const app = express();
+            app.all('/ping', () => undefined);
+            const result = routeCheck.compareRoutes(spec({'/ping': {get: {}, head: {}}}), app);
+            assert.deepStrictEqual(result, {undocumented: [], missing: [], mismatches: []});
+        });
+    });
+
+    describe('checkRoutes', () => {
+        it('reports differences and skips the docs routes', () => {
+            const app = express();
+            app.get('/api-docs.json', () => undefined);
+            app.get('/users', () => undefined);
+            const messages = [];
+            routeCheck.checkRoutes(spec({}), app, {onDiagnostic: (diagnostic) => messages.push(diagnostic.message)});
+            assert.deepStrictEqual(messages, ['Endpoint GET /users is not documented.']);
+        });
+
+        it('throws in strict mode', () => {
+            const app = express();
+            app.get('/users', () => undefined);
+            assert.throws(() => {
+                routeCheck.checkRoutes(spec({}), app, {strict: true, onDiagnostic: () => undefined});
+            }, (error) => error.name === 'DiagnosticError');
+        });
+    });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+describe('Shared parameters and responses', () => {
+    let messages;
+
+    function generate(extra) {
+        messages = [];
+        const options = helpers.options(['./shared.js'], Object.assign({
+            onDiagnostic: (diagnostic) => messages.push(diagnostic.message)
+        }, extra));
+        return swagger.generateSpec(helpers.models, options);
+    }
+
+    it('references the definitions from operations', () => {
+        return generate().then((spec) => {
+            const operation = spec.paths['/users/{id}'].get;
+            assert.deepStrictEqual(spec.parameters.Page, {
+                name: 'page',
+                in: 'query',
+                description: 'Page number',
+                required: false,
+                type: 'integer',
+                default: 1,
+                minimum: 1
+            });
+            assert.deepStrictEqual(spec.responses.NotFound, {
+                description: 'No such user',
+                schema: {$ref: '#/definitions/Error'}
+            });
+            assert.ok(operation.parameters.some((param) => param.$ref === '#/parameters/Page'));
+            assert.deepStrictEqual(operation.responses['404'], {$ref: '#/responses/NotFound'});
+        });
+    });
+
+    it('reports and drops dangling references', () => {
+        return generate().then((spec) => {
+            const operation = spec.paths['/users/{id}'].get;
+            assert.strictEqual(messages.length, 2, JSON.stringify(messages));
+            assert.ok(/Missing/.test(messages[0]));
+            assert.ok(/Gone/.test(messages[1]));
+            assert.ok(!operation.parameters.some((param) => param.$ref === '#/parameters/Missing'));
+            assert.strictEqual(operation.responses['410'], undefined);
+        });
+    });
+
+    it('moves the definitions to components in OpenAPI 3', () => {
+        return generate({openapi: '3.0'}).then((spec) => {
+            const operation = spec.paths['/users/{id}'].get;
+            assert.ok(spec.components.parameters.Page);
+            assert.ok(spec.components.responses.NotFound);
+            assert.deepStrictEqual(operation.responses['404'], {$ref: '#/components/responses/NotFound'});
+        });
+    });
+
+    it('throws on dangling references in strict mode', () => {
+        return generate({strict: true}).then(() => {
+            throw new Error('Expected the generation to fail');
+        }, (error) => {
+            assert.strictEqual(error.name, 'DiagnosticError');
+            assert.strictEqual(error.diagnostics.length, 2);
+        });
+    });
+});
+
+describe('Standard responses', () => {
+    it('keeps a response defined under the same name', () => {
+        const options = helpers.options(['./shared.js'], {standardResponses: [404, 500]});
+        return swagger.generateSpec(helpers.models, options).then((spec) => {
+            const operation = spec.paths['/users/{id}'].get;
+            assert.strictEqual(spec.responses.NotFound.description, 'No such user');
+            assert.strictEqual(spec.responses.InternalServerError.schema.$ref, '#/definitions/Error');
+            assert.deepStrictEqual(operation.responses['404'], {$ref: '#/responses/NotFound'});
+            assert.deepStrictEqual(operation.responses['500'], {$ref: '#/responses/InternalServerError'});
+            assert.deepStrictEqual(Object.keys(spec.definitions.Error.properties), ['message']);
+        });
+    });
+});
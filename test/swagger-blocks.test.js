@@ -0,0 +1,49 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+function generate(files, openapi) {
+    return swagger.generateSpec(helpers.models, helpers.options(files, {openapi: openapi}));
+}
+
+describe('@swagger blocks', () => {
+    let spec;
+
+    before(() => {
+        return generate(['./swagger-blocks.js']).then((generated) => {
+            spec = generated;
+        });
+    });
+
+    it('merges YAML into the operation, parameters by name and location', () => {
+        const operation = spec.paths['/things'].get;
+        assert.strictEqual(operation['x-rate-limit'], 10);
+        assert.deepStrictEqual(operation.parameters.map((param) => [param.name, param.type, param.minimum]), [
+            ['page', 'integer', 1],
+            ['limit', 'integer', undefined]
+        ]);
+    });
+
+    it('merges JSON into the operation, replacing arrays', () => {
+        const operation = spec.paths['/things'].post;
+        assert.strictEqual(operation.summary, 'Create a thing');
+        assert.deepStrictEqual(operation.tags, ['things']);
+    });
+
+    it('merges into typedef definitions', () => {
+        assert.deepStrictEqual(spec.definitions.Thing.properties.name, {type: 'string', description: '', minLength: 1});
+        assert.deepStrictEqual(spec.definitions.Thing.required, ['name']);
+        assert.strictEqual(spec.definitions.Thing['x-table'], 'things');
+    });
+
+    it('converts @swagger blocks and merges @openapi ones after the conversion', () => {
+        return generate(['./swagger-blocks.js', './openapi-blocks.js'], '3.0').then((converted) => {
+            const put = converted.paths['/things/{name}'].put;
+            assert.deepStrictEqual(Object.keys(put.requestBody.content).sort(), ['application/json', 'text/csv']);
+            assert.strictEqual(converted.paths['/things'].get.parameters[0].schema.minimum, 1);
+        });
+    });
+});
@@ -0,0 +1,80 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+// A custom data type, defined the way the Sequelize docs do
+class Money extends DataTypes.ABSTRACT.prototype.constructor {
+    toSql() {
+        return 'MONEY';
+    }
+}
+Money.prototype.key = Money.key = 'MONEY';
+
+describe('typeMappers', () => {
+    let models;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        models = {
+            Invoice: sequelize.define('Invoice', {
+                total: {type: new Money(), comment: 'Gross total', validate: {min: 0}},
+                reference: DataTypes.STRING(12),
+                paid: DataTypes.BOOLEAN
+            }, {timestamps: false})
+        };
+    });
+
+    function properties(options) {
+        return swaggerHelpers.buildFromSequelize(models, Object.assign({variants: false}, options)).Invoice.properties;
+    }
+
+    it('leaves custom types without a mapping untyped and reports them', () => {
+        const warnings = [];
+        const total = properties({diagnostics: {warning: (diagnostic) => warnings.push(diagnostic.message)}}).total;
+        assert.strictEqual(total.type, undefined);
+        assert.deepStrictEqual(warnings, ['Unmapped Sequelize data types, add them to `typeMappers`:\n  Money: Invoice.total']);
+    });
+
+    it('maps custom types by key or constructor name', () => {
+        const byKey = {MONEY: () => ({type: 'string', pattern: '^-?\\d+\\.\\d{2}$'})};
+        const byName = {Money: () => ({type: 'number'})};
+        assert.strictEqual(properties({typeMappers: byKey}).total.type, 'string');
+        assert.strictEqual(properties({typeMappers: byName}).total.type, 'number');
+    });
+
+    it('passes the data type, attribute and options to the mapper', () => {
+        let args;
+        const options = {
+            typeMappers: {
+                MONEY: function () {
+                    args = Array.prototype.slice.call(arguments);
+                    return {type: 'string'};
+                }
+            }
+        };
+        properties(options);
+        assert.ok(args[0] instanceof Money);
+        assert.strictEqual(args[1].fieldName, 'total');
+        assert.strictEqual(args[2].typeMappers, options.typeMappers);
+    });
+
+    it('keeps the metadata and validators of mapped attributes', () => {
+        const total = properties({typeMappers: {MONEY: () => ({type: 'number'})}}).total;
+        assert.deepStrictEqual(total, {type: 'number', minimum: 0, description: 'Gross total', 'x-nullable': true});
+    });
+
+    it('overrides built-in types', () => {
+        const mapped = properties({
+            typeMappers: {
+                STRING: (type) => ({type: 'string', maxLength: type._length, format: 'reference'}),
+                BOOLEAN: () => ({type: 'integer', enum: [0, 1]})
+            }
+        });
+        assert.deepStrictEqual(mapped.reference, {type: 'string', maxLength: 12, format: 'reference', 'x-nullable': true});
+        assert.deepStrictEqual(mapped.paid, {type: 'integer', enum: [0, 1], 'x-nullable': true});
+    });
+});
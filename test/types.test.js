@@ -0,0 +1,128 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const ZSchema = require('z-schema');
+const DataTypes = require('sequelize').DataTypes;
+const swagger = require('../lib/swagger');
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+describe('DECIMAL mapping', () => {
+    let balance;
+
+    before(() => {
+        return swagger.generateSpec(helpers.models, helpers.options([])).then((spec) => {
+            balance = spec.definitions.User.properties.balance;
+        });
+    });
+
+    it('bounds the number by its precision and carries the scale as x-scale', () => {
+        assert.strictEqual(balance.type, 'number');
+        assert.strictEqual(balance.maximum, 100000000);
+        assert.strictEqual(balance.exclusiveMaximum, true);
+        assert.strictEqual(balance['x-scale'], 2);
+        assert.strictEqual(balance.multipleOf, undefined);
+    });
+
+    it('accepts amounts which aren\'t exact binary fractions', () => {
+        const validator = new ZSchema({ignoreUnknownFormats: true});
+        [0.07, 19.99, 0.1].forEach((amount) => {
+            assert.ok(validator.validate(amount, balance), `${amount} ${JSON.stringify(validator.getLastErrors())}`);
+        });
+        assert.ok(!validator.validate(100000000, balance));
+    });
+
+    it('describes DECIMAL as a string with a pattern when asked to', () => {
+        return swagger.generateSpec(helpers.models, helpers.options([], {decimalAsString: true})).then((spec) => {
+            const property = spec.definitions.User.properties.balance;
+            assert.strictEqual(property.type, 'string');
+            assert.ok(new RegExp(property.pattern).test('19.99'));
+            assert.ok(!new RegExp(property.pattern).test('19.999'));
+        });
+    });
+});
+
+describe('Parameterized types', () => {
+    let properties;
+
+    // UNSIGNED is kept by MySQL, geometries and ranges by Postgres
+    before(() => {
+        const mysql = helpers.createSequelize('mysql');
+        const postgres = helpers.createSequelize('postgres');
+        const models = {
+            Counter: mysql.define('Counter', {
+                tiny: DataTypes.TINYINT,
+                tinyUnsigned: DataTypes.TINYINT.UNSIGNED,
+                small: DataTypes.SMALLINT,
+                medium: DataTypes.MEDIUMINT.UNSIGNED,
+                integer: DataTypes.INTEGER,
+                integerUnsigned: DataTypes.INTEGER.UNSIGNED,
+                big: DataTypes.BIGINT,
+                bigUnsigned: DataTypes.BIGINT.ZEROFILL,
+                ratio: DataTypes.FLOAT.UNSIGNED
+            }, {timestamps: false}),
+            Place: postgres.define('Place', {
+                location: DataTypes.GEOMETRY('POINT', 4326),
+                area: DataTypes.GEOGRAPHY('POLYGON'),
+                shape: DataTypes.GEOMETRY,
+                collection: DataTypes.GEOMETRY('GEOMETRYCOLLECTION'),
+                period: DataTypes.RANGE(DataTypes.DATE),
+                amounts: DataTypes.RANGE(DataTypes.INTEGER)
+            }, {timestamps: false})
+        };
+        const definitions = swaggerHelpers.buildFromSequelize(models, {variants: false});
+        properties = Object.assign({}, definitions.Counter.properties, definitions.Place.properties);
+    });
+
+    function bounds(prop) {
+        return [prop.format, prop.minimum, prop.maximum];
+    }
+
+    it('bounds narrow and unsigned integers', () => {
+        assert.deepStrictEqual(bounds(properties.tiny), ['int32', -128, 127]);
+        assert.deepStrictEqual(bounds(properties.tinyUnsigned), ['int32', 0, 255]);
+        assert.deepStrictEqual(bounds(properties.small), ['int32', -32768, 32767]);
+        assert.deepStrictEqual(bounds(properties.medium), ['int32', 0, 16777215]);
+        assert.deepStrictEqual(bounds(properties.integer), ['int32', undefined, undefined]);
+        assert.deepStrictEqual(bounds(properties.integerUnsigned), ['int64', 0, 4294967295]);
+        assert.deepStrictEqual(bounds(properties.big), ['int64', undefined, undefined]);
+        assert.deepStrictEqual(bounds(properties.bigUnsigned), ['int64', 0, undefined]);
+        assert.strictEqual(properties.ratio.minimum, 0);
+    });
+
+    it('narrows geometries to their GeoJSON type and SRID', () => {
+        const location = properties.location;
+        assert.deepStrictEqual(location.properties.type.enum, ['Point']);
+        assert.deepStrictEqual(location.required, ['type', 'coordinates']);
+        assert.deepStrictEqual(location.properties.coordinates, {type: 'array', minItems: 2, items: {type: 'number'}});
+        assert.deepStrictEqual(location.properties.crs.properties.properties.properties.name.enum, ['EPSG:4326']);
+
+        const area = properties.area;
+        assert.deepStrictEqual(area.properties.type.enum, ['Polygon']);
+        assert.strictEqual(area.properties.coordinates.items.items.items.type, 'number');
+        assert.deepStrictEqual(area.properties.crs.properties.properties.properties.name, {type: 'string'});
+    });
+
+    it('accepts every GeoJSON type for plain geometries', () => {
+        assert.ok(properties.shape.properties.type.enum.length > 1);
+        assert.ok(properties.shape.properties.type.enum.indexOf('MultiPolygon') > -1);
+        assert.deepStrictEqual(properties.shape.required, ['type']);
+        assert.deepStrictEqual(properties.collection.required, ['type', 'geometries']);
+    });
+
+    it('validates GeoJSON values', () => {
+        const validator = new ZSchema();
+        assert.ok(validator.validate({type: 'Point', coordinates: [1.5, 2]}, properties.location));
+        assert.ok(!validator.validate({type: 'Point', coordinates: [1.5]}, properties.location));
+        assert.ok(!validator.validate({type: 'LineString', coordinates: [[1, 2], [3, 4]]}, properties.location));
+    });
+
+    it('describes ranges as a pair of the subtype', () => {
+        assert.strictEqual(properties.period.type, 'array');
+        assert.strictEqual(properties.period.minItems, 2);
+        assert.strictEqual(properties.period.maxItems, 2);
+        assert.deepStrictEqual(properties.period.items, {type: 'string', format: 'date-time'});
+        assert.deepStrictEqual(properties.amounts.items, {type: 'integer', format: 'int32'});
+    });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const bodyParser = require('body-parser');
+const express = require('express');
+const request = require('supertest');
+const createValidator = require('../lib/swagger-validator').createValidator;
+const openapiConverter = require('../lib/openapi-converter');
+const swagger = require('../lib/swagger');
+const helpers = require('./helpers/models');
+
+const SPEC = {
+    swagger: '2.0',
+    info: {title: 'Test', version: '1.0.0'},
+    basePath: '/',
+    paths: {
+        '/users/{id}': {
+            get: {
+                parameters: [
+                    {name: 'id', in: 'path', required: true, type: 'integer'},
+                    {name: 'fields', in: 'query', type: 'array', items: {type: 'string'}, collectionFormat: 'csv'},
+                    {name: 'limit', in: 'query', type: 'integer', minimum: 1, maximum: 100}
+                ],
+                responses: {200: {description: 'ok'}}
+            }
+        },
+        '/users': {
+            post: {
+                parameters: [
+                    {name: 'X-Request-Id', in: 'header', required: true, type: 'string'},
+                    {name: 'body', in: 'body', required: true, schema: {$ref: '#/definitions/User'}}
+                ],
+                responses: {200: {description: 'ok'}}
+            }
+        }
+    },
+    definitions: {
+        User: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                name: {type: 'string'},
+                age: {type: 'integer'}
+            }
+        }
+    }
+};
+
+function app(spec) {
+    const server = express();
+    server.use(bodyParser.json());
+    server.use(createValidator(spec));
+    server.get('/users/:id', (req, res) => res.json({query: req.query}));
+    server.post('/users', (req, res) => res.json(req.body));
+    return server;
+}
+
+[
+    ['Swagger 2.0', SPEC],
+    ['OpenAPI 3.0', openapiConverter.convert(SPEC, '3.0')],
+    ['OpenAPI 3.1', openapiConverter.convert(SPEC, '3.1')]
+].forEach((version) => {
+    describe(`createValidator with ${version[0]}`, () => {
+        const server = app(version[1]);
+
+        it('passes valid requests and coerces the query', () => {
+            return request(server).get('/users/1?fields=a,b&limit=10').expect(200).then((res) => {
+                assert.deepStrictEqual(res.body.query, {fields: ['a', 'b'], limit: 10});
+            });
+        });
+
+        it('rejects path parameters of the wrong type', () => {
+            return request(server).get('/users/abc').expect(400).then((res) => {
+                assert.strictEqual(res.body.message, 'Request validation failed');
+                assert.strictEqual(res.body.errors.length, 1);
+                assert.deepStrictEqual(Object.keys(res.body.errors[0]).sort(), ['in', 'message', 'name', 'path']);
+                assert.strictEqual(res.body.errors[0].in, 'path');
+                assert.strictEqual(res.body.errors[0].name, 'id');
+            });
+        });
+
+        it('rejects query parameters out of range', () => {
+            return request(server).get('/users/1?limit=500').expect(400).then((res) => {
+                assert.deepStrictEqual(res.body.errors.map((error) => error.name), ['limit']);
+            });
+        });
+
+        it('rejects missing required parameters and bodies', () => {
+            return request(server).post('/users').expect(400).then((res) => {
+                assert.deepStrictEqual(res.body, {
+                    message: 'Request validation failed',
+                    errors: [
+                        {in: 'header', name: 'X-Request-Id', message: 'Missing required parameter', path: '#/'},
+                        {in: 'body', name: 'body', message: 'Missing required request body', path: '#/'}
+                    ]
+                });
+            });
+        });
+
+        it('validates bodies against referenced definitions', () => {
+            return request(server).post('/users').set('X-Request-Id', '1').send({age: 'old'}).expect(400).then((res) => {
+                assert.ok(res.body.errors.length >= 2);
+                res.body.errors.forEach((error) => {
+                    assert.strictEqual(error.in, 'body');
+                    assert.strictEqual(error.name, 'body');
+                });
+                assert.deepStrictEqual(res.body.errors.map((error) => error.path).sort(), ['#/', '#/age']);
+            });
+        });
+
+        it('passes valid bodies', () => {
+            return request(server).post('/users').set('X-Request-Id', '1').send({name: 'Ann', age: 3})
+                .expect(200, {name: 'Ann', age: 3});
+        });
+
+        it('ignores undocumented routes', () => {
+            return request(server).get('/other').expect(404);
+        });
+    });
+});
+
+describe('createValidator with a spec function', () => {
+    it('lets requests through while there is no spec', () => {
+        let spec;
+        const server = app(() => spec);
+        return request(server).get('/users/abc').expect(200).then(() => {
+            spec = SPEC;
+            return request(server).get('/users/abc').expect(400);
+        });
+    });
+});
+
+[undefined, '3.0', '3.1'].forEach((openapi) => {
+    describe(`createValidator with the generated ${openapi ? 'OpenAPI ' + openapi : 'Swagger 2.0'} spec`, () => {
+        const row = {
+            id: 1,
+            firstName: 'x',
+            lastName: null,
+            balance: null,
+            createdAt: '2020-01-01T00:00:00.000Z',
+            updatedAt: '2020-01-01T00:00:00.000Z'
+        };
+        let server, responseErrors;
+
+        before(() => {
+            const options = helpers.options(['./validator.js'], {openapi: openapi});
+            return swagger.generateSpec(helpers.models, options).then((spec) => {
+                server = express();
+                server.use(bodyParser.json());
+                server.use(createValidator(spec, {
+                    validateResponses: true,
+                    onResponseError: (errors) => responseErrors.push(errors)
+                }));
+                server.put('/users/:id', (req, res) => {
+                    res.json(Object.assign({}, row, req.body, req.query.broken ? {firstName: null} : {}));
+                });
+            });
+        });
+
+        beforeEach(() => {
+            responseErrors = [];
+        });
+
+        it('accepts null for columns which allow it', () => {
+            return request(server).put('/users/1').send({firstName: 'x', lastName: null}).expect(200);
+        });
+
+        it('rejects null for columns which don\'t allow it', () => {
+            return request(server).put('/users/1').send({firstName: null}).expect(400).then((res) => {
+                assert.deepStrictEqual(res.body.errors.map((error) => error.path), ['#/firstName']);
+            });
+        });
+
+        it('rejects numbers out of the DECIMAL precision', () => {
+            return request(server).put('/users/1').send({balance: 1e12}).expect(400).then((res) => {
+                assert.deepStrictEqual(res.body.errors.map((error) => error.path), ['#/balance']);
+                return request(server).put('/users/1').send({balance: 99999999.99}).expect(200);
+            }).then(() => {
+                return request(server).put('/users/1').send({balance: 100000000}).expect(400);
+            });
+        });
+
+        it('accepts responses with null columns', () => {
+            return request(server).put('/users/1').send({lastName: null}).expect(200).then(() => {
+                assert.deepStrictEqual(responseErrors, []);
+            });
+        });
+
+        it('reports responses with null in columns which don\'t allow it', () => {
+            return request(server).put('/users/1?broken=1').send({lastName: 'y'}).expect(200).then(() => {
+                assert.strictEqual(responseErrors.length, 1);
+                assert.deepStrictEqual(responseErrors[0].map((error) => [error.in, error.path]), [['response', '#/firstName']]);
+            });
+        });
+    });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const DataTypes = require('sequelize').DataTypes;
+const swaggerHelpers = require('../lib/swagger-helpers');
+const helpers = require('./helpers/models');
+
+describe('Model definitions', () => {
+    let models;
+
+    before(() => {
+        const sequelize = helpers.createSequelize();
+        models = {
+            Article: sequelize.define('Article', {
+                title: {type: DataTypes.STRING, allowNull: false},
+                body: DataTypes.TEXT,
+                status: {type: DataTypes.STRING, allowNull: false, defaultValue: 'draft'}
+            }),
+            Code: sequelize.define('Code', {
+                code: {type: DataTypes.STRING(8), primaryKey: true}
+            }, {timestamps: false})
+        };
+    });
+
+    it('marks read only attributes in the read definition and doesn\'t require them', () => {
+        const article = swaggerHelpers.buildFromSequelize(models).Article;
+        assert.deepStrictEqual(Object.keys(article.properties), ['id', 'title', 'body', 'status', 'createdAt', 'updatedAt']);
+        ['id', 'status', 'createdAt', 'updatedAt'].forEach((name) => {
+            assert.strictEqual(article.properties[name].readOnly, true, name);
+        });
+        assert.strictEqual(article.properties.title.readOnly, undefined);
+        assert.deepStrictEqual(article.required, ['title']);
+    });
+
+    it('leaves read only attributes out of the create definition', () => {
+        const create = JSON.parse(JSON.stringify(swaggerHelpers.buildFromSequelize(models).ArticleCreate));
+        assert.deepStrictEqual(create, {
+            properties: {
+                title: {type: 'string', maxLength: 255},
+                body: {type: 'string', 'x-nullable': true}
+            },
+            required: ['title']
+        });
+    });
+
+    it('makes every property of the update definition optional', () => {
+        const definitions = swaggerHelpers.buildFromSequelize(models);
+        assert.deepStrictEqual(definitions.ArticleUpdate, {properties: definitions.ArticleCreate.properties});
+    });
+
+    it('requires primary keys set by the client', () => {
+        const definitions = swaggerHelpers.buildFromSequelize(models);
+        assert.deepStrictEqual(definitions.Code.required, ['code']);
+        assert.deepStrictEqual(definitions.CodeCreate.required, ['code']);
+        assert.strictEqual(definitions.CodeUpdate.required, undefined);
+    });
+
+    it('only generates the read definition with variants: false', () => {
+        const definitions = swaggerHelpers.buildFromSequelize(models, {variants: false});
+        assert.deepStrictEqual(Object.keys(definitions), ['Article', 'Code']);
+    });
+});
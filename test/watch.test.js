@@ -0,0 +1,142 @@
+'use strict';
+
+// Dependencies
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const swagger = require('../lib/swagger');
+const watchSpec = require('../lib/swagger-watch').watchSpec;
+const helpers = require('./helpers/models');
+
+function route(uri) {
+    return `/**\n * @route GET ${uri}\n * @returns {object} 200 - ok\n */\n`;
+}
+
+describe('watchSpec', () => {
+    let dir, watcher, mtime;
+
+    // Every write gets a later mtime, however fast the test runs
+    function write(file, content) {
+        const target = path.join(dir, file);
+        fs.writeFileSync(target, content);
+        mtime = mtime + 10;
+        fs.utimesSync(target, mtime, mtime);
+    }
+
+    function nextUpdate() {
+        return new Promise((resolve, reject) => {
+            watcher.once('update', resolve);
+            watcher.once('error', reject);
+        });
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-swagger-watch-'));
+        mtime = Math.floor(Date.now() / 1000);
+        write('users.js', route('/users'));
+        watcher = watchSpec(helpers.models, Object.assign(helpers.options(['./*.js']), {
+            basedir: dir,
+            watchInterval: 20
+        }));
+        return watcher.ready;
+    });
+
+    afterEach(() => {
+        watcher.close();
+        fs.readdirSync(dir).forEach((file) => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    it('builds the spec once ready', () => {
+        assert.deepStrictEqual(Object.keys(watcher.spec.paths), ['/users']);
+    });
+
+    it('picks up added files', () => {
+        const update = nextUpdate();
+        write('posts.js', route('/posts'));
+        return update.then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths).sort(), ['/posts', '/users']);
+            assert.strictEqual(watcher.spec, spec);
+        });
+    });
+
+    it('picks up edited files', () => {
+        const update = nextUpdate();
+        write('users.js', route('/people'));
+        return update.then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths), ['/people']);
+        });
+    });
+
+    it('drops the paths of removed files', () => {
+        write('posts.js', route('/posts'));
+        return nextUpdate().then(() => {
+            const update = nextUpdate();
+            fs.unlinkSync(path.join(dir, 'posts.js'));
+            return update;
+        }).then((spec) => {
+            assert.deepStrictEqual(Object.keys(spec.paths), ['/users']);
+        });
+    });
+
+    it('never looks into node_modules', () => {
+        fs.mkdirSync(path.join(dir, 'node_modules'));
+        fs.writeFileSync(path.join(dir, 'node_modules', 'dependency.js'), route('/dependency'));
+        const files = swagger.convertGlobPaths(dir, ['./**/*.js']).map((file) => path.relative(dir, file));
+        fs.unlinkSync(path.join(dir, 'node_modules', 'dependency.js'));
+        fs.rmdirSync(path.join(dir, 'node_modules'));
+        assert.deepStrictEqual(files, ['users.js']);
+    });
+
+    it('keeps the previous spec when a build fails', () => {
+        const previous = watcher.spec;
+        const failed = new Promise((resolve) => watcher.once('error', resolve));
+        write('broken.js', '/**\n * @route GET /broken\n * @returns {Missing.model} 200 - ok\n */\n');
+        return failed.then((error) => {
+            assert.strictEqual(error.name, 'SpecValidationError');
+            assert.strictEqual(watcher.spec, previous);
+        });
+    });
+});
+
+describe('watchSpec mounted on an app', () => {
+    it('answers 503 until the first build succeeds', () => {
+        const app = express();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequelize-swagger-watch-'));
+        const file = path.join(dir, 'users.js');
+        fs.writeFileSync(file, '/**\n * @route GET /users\n * @returns {Missing.model} 200 - ok\n */\n');
+        const watcher = watchSpec(helpers.models, Object.assign(helpers.options(['./*.js']), {
+            basedir: dir,
+            watchInterval: 20
+        }), app);
+        watcher.on('error', () => undefined);
+        const cleanup = () => {
+            watcher.close();
+            fs.unlinkSync(file);
+            fs.rmdirSync(dir);
+        };
+
+        return watcher.ready.then(() => {
+            throw new Error('Expected the first build to fail');
+        }, () => {
+            return request(app).get('/api-docs.json').expect(503);
+        }).then((res) => {
+            assert.deepStrictEqual(res.body, {message: 'The spec is not generated yet'});
+            const update = new Promise((resolve) => watcher.once('update', resolve));
+            fs.writeFileSync(file, route('/users'));
+            const mtime = Math.floor(Date.now() / 1000) + 10;
+            fs.utimesSync(file, mtime, mtime);
+            return update;
+        }).then(() => {
+            return request(app).get('/api-docs.json').expect(200);
+        }).then((res) => {
+            assert.ok(res.body.paths['/users']);
+        }).then(cleanup, (error) => {
+            cleanup();
+            throw error;
+        });
+    });
+});